@@ -0,0 +1,119 @@
+import {
+  buildGroupedSelect,
+  buildSummaryTotals,
+  describeAggregate,
+  isGroupedConfig,
+  toAggregateExpression
+} from 'c/data360Aggregates';
+
+const SUM_LTV = { alias: 'agg_1', operation: 'SUM', fieldName: 'LTV__c', label: 'Total LTV' };
+const COUNT_ID = { alias: 'agg_2', operation: 'COUNT', fieldName: 'Id' };
+
+describe('c-data360-aggregates', () => {
+  describe('isGroupedConfig', () => {
+    it('is true with Group By fields or aggregates', () => {
+      expect(isGroupedConfig({ groupByFields: ['Segment__c'], aggregates: [] })).toBe(true);
+      expect(isGroupedConfig({ groupByFields: [], aggregates: [COUNT_ID] })).toBe(true);
+      expect(isGroupedConfig({ groupByFields: [], aggregates: [] })).toBe(false);
+    });
+  });
+
+  describe('buildGroupedSelect', () => {
+    it('selects the group fields, then each aggregate with its alias', () => {
+      expect(toAggregateExpression(SUM_LTV)).toBe('SUM(LTV__c)');
+      expect(buildGroupedSelect(['Segment__c', 'Region__c'], [SUM_LTV, COUNT_ID])).toBe(
+        'Segment__c, Region__c, SUM(LTV__c) agg_1, COUNT(Id) agg_2'
+      );
+    });
+
+    it('handles grouping without aggregates and aggregates without grouping', () => {
+      expect(buildGroupedSelect(['Segment__c'], [])).toBe('Segment__c');
+      expect(buildGroupedSelect([], [COUNT_ID])).toBe('COUNT(Id) agg_2');
+    });
+  });
+
+  describe('describeAggregate', () => {
+    it('names the operation and field', () => {
+      expect(describeAggregate(SUM_LTV)).toBe('Sum of LTV__c');
+      expect(describeAggregate({ operation: 'AVG', fieldName: 'Score__c' })).toBe('Average of Score__c');
+    });
+
+    it('falls back for unknown operations and missing fields', () => {
+      expect(describeAggregate({ operation: 'MEDIAN', fieldName: 'Score__c' })).toBe('MEDIAN of Score__c');
+      expect(describeAggregate({ operation: 'COUNT', fieldName: '' })).toBe('Count of (no field)');
+    });
+  });
+
+  describe('buildSummaryTotals', () => {
+    const columns = [
+      { fieldName: 'Name', label: 'Name', type: 'text' },
+      { fieldName: 'Employees', label: 'Employees', type: 'number' },
+      {
+        fieldName: 'AnnualRevenue',
+        label: 'Revenue',
+        type: 'currency',
+        typeAttributes: { currencyCode: 'USD', minimumFractionDigits: 2, maximumFractionDigits: 2 }
+      },
+      { fieldName: 'Rating', label: 'Rating', type: 'percent-fixed' }
+    ];
+
+    it('totals the number and currency columns with their formatting', () => {
+      const rows = [
+        { Name: 'A', Employees: 10, AnnualRevenue: 100.5, Rating: 50 },
+        { Name: 'B', Employees: 5, AnnualRevenue: 20, Rating: 25 }
+      ];
+
+      expect(buildSummaryTotals(columns, rows)).toEqual([
+        {
+          fieldName: 'Employees',
+          label: 'Employees',
+          value: 15,
+          formatStyle: 'decimal',
+          currencyCode: undefined,
+          minimumFractionDigits: undefined,
+          maximumFractionDigits: undefined
+        },
+        {
+          fieldName: 'AnnualRevenue',
+          label: 'Revenue',
+          value: 120.5,
+          formatStyle: 'currency',
+          currencyCode: 'USD',
+          minimumFractionDigits: 2,
+          maximumFractionDigits: 2
+        }
+      ]);
+    });
+
+    it('skips empty and non-numeric values and adds numeric text', () => {
+      const rows = [null, undefined, '', 'n/a', '7', NaN].map((value) => ({ Employees: value }));
+
+      expect(buildSummaryTotals(columns.slice(0, 2), rows)[0].value).toBe(7);
+    });
+
+    it('totals to zero without rows or values', () => {
+      expect(buildSummaryTotals(columns.slice(0, 2), [])[0].value).toBe(0);
+      expect(buildSummaryTotals(columns.slice(0, 2), [{ Employees: 'none' }])[0].value).toBe(0);
+    });
+
+    it('totals COUNT and SUM aggregate columns but not AVG, MIN or MAX', () => {
+      const aggregateColumns = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'].map((operation) => ({
+        fieldName: operation,
+        label: operation,
+        type: 'number',
+        aggregate: operation
+      }));
+      const rows = [{ COUNT: 2, SUM: 10, AVG: 5, MIN: 1, MAX: 9 }, { COUNT: 3, SUM: 20, AVG: 4, MIN: 2, MAX: 8 }];
+
+      expect(buildSummaryTotals(aggregateColumns, rows).map((total) => [total.fieldName, total.value])).toEqual([
+        ['COUNT', 5],
+        ['SUM', 30]
+      ]);
+    });
+
+    it('returns no totals without number or currency columns', () => {
+      expect(buildSummaryTotals([columns[0], columns[3]], [{ Name: 'A', Rating: 5 }])).toEqual([]);
+      expect(buildSummaryTotals([], [])).toEqual([]);
+    });
+  });
+});
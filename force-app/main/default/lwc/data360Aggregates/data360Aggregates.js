@@ -0,0 +1,83 @@
+/**
+ * Grouped tables: config.groupByFields lists the fields rows are grouped
+ * by and config.aggregates the aggregate columns, each
+ * { alias, operation, fieldName, label }. The query selects the group
+ * fields and OPERATION(fieldName) alias, e.g.
+ * SELECT Segment__c, SUM(LTV__c) agg_1 FROM ... GROUP BY Segment__c.
+ *
+ * Data360ConfigService builds the same select list for saved configs and
+ * accepts the same operations. Keep the two in step.
+ */
+
+export const AGGREGATE_OPERATIONS = [
+  { label: 'Count', value: 'COUNT' },
+  { label: 'Sum', value: 'SUM' },
+  { label: 'Average', value: 'AVG' },
+  { label: 'Minimum', value: 'MIN' },
+  { label: 'Maximum', value: 'MAX' }
+];
+
+// Operations whose values can be added up again in the summary row
+const TOTALED_OPERATIONS = ['COUNT', 'SUM'];
+const TOTALED_TYPES = ['number', 'currency'];
+
+export function isGroupedConfig(config) {
+  return config.groupByFields.length > 0 || config.aggregates.length > 0;
+}
+
+/**
+ * The aggregate's SOQL expression, e.g. SUM(LTV__c).
+ */
+export function toAggregateExpression(aggregate) {
+  return `${aggregate.operation}(${aggregate.fieldName})`;
+}
+
+/**
+ * The select list of a grouped query: group fields, then each aggregate
+ * with its alias.
+ */
+export function buildGroupedSelect(groupByFields, aggregates) {
+  return [
+    ...groupByFields,
+    ...aggregates.map((aggregate) => `${toAggregateExpression(aggregate)} ${aggregate.alias}`)
+  ].join(', ');
+}
+
+/**
+ * An aggregate as text, e.g. "Sum of LTV__c".
+ */
+export function describeAggregate(aggregate) {
+  const operation = AGGREGATE_OPERATIONS.find((option) => option.value === aggregate.operation);
+  return `${operation ? operation.label : aggregate.operation} of ${aggregate.fieldName || '(no field)'}`;
+}
+
+function addValue(total, value) {
+  const number = Number(value);
+  return value === null || value === undefined || value === '' || isNaN(number) ? total : total + number;
+}
+
+/**
+ * Totals of the number and currency columns over the given rows, for the
+ * table's summary row: [{ fieldName, label, value, formatStyle,
+ * currencyCode, minimumFractionDigits, maximumFractionDigits }], ready for
+ * lightning-formatted-number. Averages, minimums and maximums of groups do
+ * not add up, so those aggregate columns (col.aggregate, set by the
+ * server) are left out.
+ */
+export function buildSummaryTotals(columns, rows) {
+  return columns
+    .filter((col) => TOTALED_TYPES.includes(col.type))
+    .filter((col) => !col.aggregate || TOTALED_OPERATIONS.includes(col.aggregate))
+    .map((col) => {
+      const attrs = col.typeAttributes || {};
+      return {
+        fieldName: col.fieldName,
+        label: col.label,
+        value: rows.reduce((total, row) => addValue(total, row[col.fieldName]), 0),
+        formatStyle: col.type === 'currency' ? 'currency' : 'decimal',
+        currencyCode: attrs.currencyCode,
+        minimumFractionDigits: attrs.minimumFractionDigits,
+        maximumFractionDigits: attrs.maximumFractionDigits
+      };
+    });
+}
@@ -0,0 +1,82 @@
+import {
+  MAX_POLL_SECONDS,
+  MIN_POLL_SECONDS,
+  getBackoffDelay,
+  getPollDelay,
+  isEventChannel
+} from 'c/data360AutoRefresh';
+
+const MAX_BACKOFF_MS = 15 * 60000;
+
+describe('c-data360-auto-refresh', () => {
+  describe('isEventChannel', () => {
+    it.each([
+      ['/event/Order_Update__e'],
+      ['/data/AccountChangeEvent'],
+      ['/data/Order__ChangeEvent'],
+      ['/data/Sales__chn']
+    ])('accepts %s', (channel) => {
+      expect(isEventChannel(channel)).toBe(true);
+    });
+
+    it.each([
+      [''],
+      [null],
+      [undefined],
+      ['/event/Order_Update'],
+      ['/data/Account'],
+      ['/topic/Accounts'],
+      ['event/Order_Update__e'],
+      ['/event/Order_Update__e/extra'],
+      ['/event/Order Update__e']
+    ])('rejects %p', (channel) => {
+      expect(isEventChannel(channel)).toBe(false);
+    });
+  });
+
+  describe('getPollDelay', () => {
+    it('converts pollSeconds to milliseconds', () => {
+      expect(getPollDelay(60, 0)).toBe(60000);
+    });
+
+    it.each([
+      [0, MIN_POLL_SECONDS],
+      [-5, MIN_POLL_SECONDS],
+      [MIN_POLL_SECONDS - 1, MIN_POLL_SECONDS],
+      [MAX_POLL_SECONDS + 1, MAX_POLL_SECONDS],
+      [86400, MAX_POLL_SECONDS]
+    ])('clamps %p seconds to %p', (pollSeconds, expected) => {
+      expect(getPollDelay(pollSeconds, 0)).toBe(expected * 1000);
+    });
+
+    it('doubles the delay for each failure in a row', () => {
+      expect(getPollDelay(60, 1)).toBe(120000);
+      expect(getPollDelay(60, 3)).toBe(480000);
+    });
+
+    it('stops backing off at MAX_BACKOFF_MS', () => {
+      expect(getPollDelay(60, 4)).toBe(MAX_BACKOFF_MS);
+      expect(getPollDelay(60, 50)).toBe(MAX_BACKOFF_MS);
+    });
+
+    it('never polls more often than the clamped interval, even past the cap', () => {
+      expect(getPollDelay(MAX_POLL_SECONDS, 0)).toBe(MAX_POLL_SECONDS * 1000);
+      expect(getPollDelay(MAX_POLL_SECONDS, 5)).toBe(MAX_POLL_SECONDS * 1000);
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    it('returns baseMs without failures', () => {
+      expect(getBackoffDelay(2000, 0)).toBe(2000);
+    });
+
+    it('doubles up to the cap', () => {
+      expect(getBackoffDelay(5000, 2)).toBe(20000);
+      expect(getBackoffDelay(5000, 20)).toBe(MAX_BACKOFF_MS);
+    });
+
+    it('keeps a baseMs longer than the cap', () => {
+      expect(getBackoffDelay(MAX_BACKOFF_MS * 2, 3)).toBe(MAX_BACKOFF_MS * 2);
+    });
+  });
+});
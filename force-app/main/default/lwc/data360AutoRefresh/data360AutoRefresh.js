@@ -0,0 +1,43 @@
+/**
+ * Timing for the refreshes data360Table runs on its own: every
+ * config.pollSeconds, and after events on config.eventChannel, a Platform
+ * Event channel (/event/Order_Update__e) or Change Data Capture channel
+ * (/data/AccountChangeEvent) read through lightning/empApi. Failed queries
+ * and dropped subscriptions are retried later each time, up to
+ * MAX_BACKOFF_MS apart.
+ *
+ * Data360ConfigService.checkConfig accepts the same channel names. Keep
+ * the two in step.
+ */
+
+// Data Cloud queries are too costly to run more often per table
+export const MIN_POLL_SECONDS = 30;
+export const MAX_POLL_SECONDS = 3600;
+
+// Wait after an event so a burst of them, such as a bulk load's change events, refreshes once
+export const EVENT_DELAY_MS = 2000;
+export const RESUBSCRIBE_DELAY_MS = 5000;
+const MAX_BACKOFF_MS = 15 * 60000;
+
+const EVENT_CHANNEL_PATTERN = /^\/(event\/\w+__e|data\/\w+(ChangeEvent|__chn))$/;
+
+export function isEventChannel(channel) {
+  return EVENT_CHANNEL_PATTERN.test(channel || '');
+}
+
+/**
+ * baseMs doubled for each failure in a row, capped at MAX_BACKOFF_MS or
+ * baseMs if that is longer.
+ */
+export function getBackoffDelay(baseMs, failures) {
+  return Math.min(baseMs * 2 ** failures, Math.max(baseMs, MAX_BACKOFF_MS));
+}
+
+/**
+ * Milliseconds until the next poll, pollSeconds kept within the
+ * MIN_POLL_SECONDS to MAX_POLL_SECONDS range.
+ */
+export function getPollDelay(pollSeconds, failures) {
+  const seconds = Math.min(Math.max(pollSeconds, MIN_POLL_SECONDS), MAX_POLL_SECONDS);
+  return getBackoffDelay(seconds * 1000, failures);
+}
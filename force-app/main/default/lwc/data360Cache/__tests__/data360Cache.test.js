@@ -0,0 +1,119 @@
+import { buildCacheKey, clearCache, getConfigCachePrefix, hashText, readCache, writeCache } from 'c/data360Cache';
+
+const REQUEST = { context: { recordId: '001000000000001AAA' }, uiState: { sortField: 'Name' }, paged: false };
+const NOW = 1700000000000;
+const MINUTE = 60000;
+
+describe('c-data360-cache', () => {
+  beforeEach(() => {
+    clearCache('');
+    window.sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('buildCacheKey', () => {
+    it('keeps users, configs, config versions and requests apart', () => {
+      const key = buildCacheKey('005A', 'a01A', hashText('{"limit":10}'), REQUEST);
+      const others = [
+        buildCacheKey('005B', 'a01A', hashText('{"limit":10}'), REQUEST),
+        buildCacheKey('005A', 'a01B', hashText('{"limit":10}'), REQUEST),
+        buildCacheKey('005A', 'a01A', hashText('{"limit":20}'), REQUEST),
+        buildCacheKey('005A', 'a01A', hashText('{"limit":10}'), { ...REQUEST, uiState: { sortField: 'Phone' } })
+      ];
+
+      expect(key.startsWith(getConfigCachePrefix('005A', 'a01A'))).toBe(true);
+      expect(new Set([key, ...others]).size).toBe(5);
+      writeCache(key, { tableData: [{ Name: 'Acme' }] }, { now: NOW });
+      others.forEach((other) => expect(readCache(other, 10, { now: NOW })).toBeNull());
+    });
+
+    it('hashes empty and missing config JSON alike', () => {
+      expect(hashText('')).toBe(hashText(null));
+      expect(hashText(undefined)).toBe(hashText(''));
+      expect(hashText('{}')).not.toBe(hashText(''));
+    });
+  });
+
+  describe('readCache', () => {
+    it('returns entries until they are older than maxAgeMinutes', () => {
+      writeCache('k', { tableData: [] }, { now: NOW });
+
+      expect(readCache('k', 5, { now: NOW + 5 * MINUTE })).toEqual({ result: { tableData: [] }, cachedAt: NOW });
+      expect(readCache('k', 5, { now: NOW + 5 * MINUTE + 1 })).toBeNull();
+      // Expired entries are removed, so a longer maxAge does not bring them back
+      expect(readCache('k', 60, { now: NOW + 5 * MINUTE })).toBeNull();
+    });
+
+    it('treats maxAgeMinutes 0 as expired after any time passes', () => {
+      writeCache('k', { tableData: [] }, { now: NOW });
+
+      expect(readCache('k', 0, { now: NOW + 1 })).toBeNull();
+    });
+
+    it('returns null for unknown keys and unreadable stored entries', () => {
+      window.sessionStorage.setItem('broken', '{not json');
+
+      expect(readCache('missing', 5, { now: NOW })).toBeNull();
+      expect(readCache('broken', 5, { persist: true, now: NOW })).toBeNull();
+    });
+  });
+
+  describe('persistence', () => {
+    it('keeps entries in memory only by default', () => {
+      writeCache('k', { tableData: [1] }, { now: NOW });
+
+      expect(window.sessionStorage.getItem('k')).toBeNull();
+      expect(readCache('k', 5, { now: NOW })).not.toBeNull();
+    });
+
+    it('reads persisted entries back from sessionStorage after memory is gone', () => {
+      writeCache('k', { tableData: [1] }, { persist: true, now: NOW });
+      const stored = window.sessionStorage.getItem('k');
+      clearCache('k');
+      window.sessionStorage.setItem('k', stored);
+
+      expect(readCache('k', 5, { now: NOW })).toBeNull();
+      expect(readCache('k', 5, { persist: true, now: NOW })).toEqual({ result: { tableData: [1] }, cachedAt: NOW });
+    });
+
+    it('falls back to memory when sessionStorage refuses the write', () => {
+      jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+        throw new Error('QuotaExceededError');
+      });
+
+      expect(() => writeCache('k', { tableData: [1] }, { persist: true, now: NOW })).not.toThrow();
+      expect(readCache('k', 5, { persist: true, now: NOW })).toEqual({ result: { tableData: [1] }, cachedAt: NOW });
+    });
+
+    it('works without sessionStorage when the browser blocks it', () => {
+      jest.spyOn(window, 'sessionStorage', 'get').mockImplementation(() => {
+        throw new Error('SecurityError');
+      });
+
+      writeCache('k', { tableData: [1] }, { persist: true, now: NOW });
+      expect(readCache('k', 5, { persist: true, now: NOW })).not.toBeNull();
+      expect(() => clearCache('k')).not.toThrow();
+      expect(readCache('k', 5, { persist: true, now: NOW })).toBeNull();
+    });
+  });
+
+  describe('clearCache', () => {
+    it('removes only the entries under the prefix', () => {
+      const prefix = getConfigCachePrefix('005A', 'a01A');
+      const mine = buildCacheKey('005A', 'a01A', 'v1', REQUEST);
+      const older = buildCacheKey('005A', 'a01A', 'v0', REQUEST);
+      const theirs = buildCacheKey('005A', 'a01B', 'v1', REQUEST);
+      [mine, older, theirs].forEach((key) => writeCache(key, { tableData: [] }, { persist: true, now: NOW }));
+
+      clearCache(prefix);
+
+      expect(readCache(mine, 5, { persist: true, now: NOW })).toBeNull();
+      expect(readCache(older, 5, { persist: true, now: NOW })).toBeNull();
+      expect(readCache(theirs, 5, { persist: true, now: NOW })).not.toBeNull();
+      expect(window.sessionStorage.getItem(theirs)).not.toBeNull();
+    });
+  });
+});
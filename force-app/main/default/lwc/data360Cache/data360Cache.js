@@ -0,0 +1,129 @@
+/**
+ * Query results data360Table keeps in the browser for configs with
+ * cacheMinutes set, so a page shows a table's last rows at once while it
+ * reloads them. Entries are keyed by the running user, the config, a hash
+ * of the config JSON the table loaded (so a publish starts over) and
+ * everything the request sends (record context, sort, search, filters),
+ * and stored as { result, cachedAt }. They live in memory unless the config
+ * sets persistCache, which also keeps them in the tab's sessionStorage so
+ * they outlast a browser reload.
+ *
+ * Data360ConfigService.queryTable adds the optional server tier in
+ * Platform Cache when the config sets serverCache.
+ */
+
+const KEY_PREFIX = 'data360Table';
+
+// Lightning navigation keeps this module loaded, so most reads never reach sessionStorage
+const memoryCache = new Map();
+
+function getStorage() {
+  try {
+    return window.sessionStorage;
+  } catch {
+    // Storage blocked by the browser's privacy settings
+    return null;
+  }
+}
+
+/**
+ * A short hex hash (32-bit FNV-1a) of text, for the config version part of
+ * cache keys.
+ */
+export function hashText(text) {
+  let hash = 0x811c9dc5;
+  const value = String(text || '');
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * The key prefix every entry of one user's config shares, whatever its
+ * version, for clearCache.
+ */
+export function getConfigCachePrefix(userId, configRef) {
+  return `${KEY_PREFIX}:${userId}:${configRef}:`;
+}
+
+/**
+ * configVersion is hashText of the config JSON the table loaded.
+ */
+export function buildCacheKey(userId, configRef, configVersion, request) {
+  return `${getConfigCachePrefix(userId, configRef)}${configVersion}:${JSON.stringify(request)}`;
+}
+
+function removeStored(storage, key) {
+  try {
+    storage.removeItem(key);
+  } catch {
+    // Nothing to clean up when storage is unavailable
+  }
+}
+
+/**
+ * The entry for key if it is younger than maxAgeMinutes, else null.
+ * Older entries are removed. sessionStorage is only read with persist.
+ */
+export function readCache(key, maxAgeMinutes, { persist = false, now = Date.now() } = {}) {
+  let entry = memoryCache.get(key);
+  const storage = persist ? getStorage() : null;
+  if (!entry && storage) {
+    try {
+      entry = JSON.parse(storage.getItem(key));
+    } catch {
+      entry = null;
+    }
+  }
+  if (!entry) {
+    return null;
+  }
+  if (now - entry.cachedAt > maxAgeMinutes * 60000) {
+    memoryCache.delete(key);
+    if (storage) {
+      removeStored(storage, key);
+    }
+    return null;
+  }
+  memoryCache.set(key, entry);
+  return entry;
+}
+
+/**
+ * Keeps result under key in memory, and in sessionStorage with persist.
+ */
+export function writeCache(key, result, { persist = false, now = Date.now() } = {}) {
+  const entry = { result, cachedAt: now };
+  memoryCache.set(key, entry);
+  const storage = persist ? getStorage() : null;
+  if (!storage) {
+    return;
+  }
+  try {
+    storage.setItem(key, JSON.stringify(entry));
+  } catch {
+    // Over the storage quota; the entry stays in memory only
+  }
+}
+
+/**
+ * Removes every entry whose key starts with prefix.
+ */
+export function clearCache(prefix) {
+  [...memoryCache.keys()].filter((key) => key.startsWith(prefix)).forEach((key) => memoryCache.delete(key));
+  const storage = getStorage();
+  if (!storage) {
+    return;
+  }
+  try {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      keys.push(storage.key(i));
+    }
+    keys.filter((key) => key && key.startsWith(prefix)).forEach((key) => storage.removeItem(key));
+  } catch {
+    // Storage became unavailable; the memory entries are gone
+  }
+}
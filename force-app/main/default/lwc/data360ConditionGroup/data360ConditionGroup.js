@@ -0,0 +1,237 @@
+import { LightningElement, api } from 'lwc';
+
+// Mirrors Data360ConfigService.MAX_CONDITION_DEPTH
+const MAX_DEPTH = 5;
+
+export const OPERATOR_LABELS = {
+  equals: 'equals',
+  notEquals: 'not equal to',
+  contains: 'contains',
+  startsWith: 'starts with',
+  lessThan: 'less than',
+  greaterThan: 'greater than',
+  lessOrEqual: 'less or equal',
+  greaterOrEqual: 'greater or equal',
+  in: 'is one of',
+  notIn: 'is not one of',
+  isNull: 'is empty',
+  isNotNull: 'is not empty'
+};
+
+const TEXT_OPERATORS = ['equals', 'notEquals', 'contains', 'startsWith', 'in', 'notIn', 'isNull', 'isNotNull'];
+const RANGE_OPERATORS = [
+  'equals',
+  'notEquals',
+  'lessThan',
+  'greaterThan',
+  'lessOrEqual',
+  'greaterOrEqual',
+  'in',
+  'notIn',
+  'isNull',
+  'isNotNull'
+];
+const ID_OPERATORS = ['equals', 'notEquals', 'in', 'notIn', 'isNull', 'isNotNull'];
+const BOOLEAN_OPERATORS = ['equals', 'notEquals'];
+const RANGE_TYPES = ['currency', 'percent', 'double', 'integer', 'long', 'date', 'datetime', 'time'];
+const ID_TYPES = ['id', 'reference'];
+const NO_VALUE_OPERATORS = ['isNull', 'isNotNull'];
+const LIST_OPERATORS = ['in', 'notIn'];
+
+const VALUE_PLACEHOLDERS = {
+  date: 'YYYY-MM-DD or $record.Field',
+  datetime: 'YYYY-MM-DDThh:mm:ssZ or $record.Field',
+  boolean: 'true or false',
+  id: 'Record Id, $recordId or $CurrentUserId',
+  reference: 'Record Id, $recordId or $CurrentUserId'
+};
+
+let nextNodeId = 0;
+
+function newNodeId() {
+  nextNodeId += 1;
+  return `node-${nextNodeId}`;
+}
+
+export function createConditionNode() {
+  return { id: newNodeId(), type: 'condition', fieldName: '', operator: 'equals', value: '' };
+}
+
+export function createGroupNode(conjunction = 'AND') {
+  return { id: newNodeId(), type: 'group', conjunction, children: [] };
+}
+
+/**
+ * Gives every node of a saved or parsed condition tree a fresh id for
+ * template keys.
+ */
+export function withNodeIds(node) {
+  if (!node) {
+    return createGroupNode();
+  }
+  if (node.type === 'group') {
+    return { ...node, id: newNodeId(), children: (node.children || []).map((child) => withNodeIds(child)) };
+  }
+  return { ...node, id: newNodeId() };
+}
+
+/**
+ * Operators offered for a field's describe type (lowercase DisplayType).
+ * Data360ConfigService.compileWhereConditions applies the same rules.
+ */
+export function getOperatorsForType(dataType) {
+  if (dataType === 'boolean') {
+    return BOOLEAN_OPERATORS;
+  }
+  if (RANGE_TYPES.includes(dataType)) {
+    return RANGE_OPERATORS;
+  }
+  if (ID_TYPES.includes(dataType)) {
+    return ID_OPERATORS;
+  }
+  return TEXT_OPERATORS;
+}
+
+/**
+ * One AND/OR group of the configurator's condition builder. Renders its
+ * conditions and nested groups (recursively) and reports every edit as a
+ * `groupchange` event carrying the updated group; nested groups also emit
+ * `groupremove` when deleted.
+ */
+export default class Data360ConditionGroup extends LightningElement {
+  @api group;
+  // [{ fieldName, label, dataType }] from the configurator's loaded fields
+  @api fields = [];
+  @api depth = 0;
+
+  get conjunctionOptions() {
+    return [
+      { label: 'All (AND)', value: 'AND' },
+      { label: 'Any (OR)', value: 'OR' }
+    ];
+  }
+
+  get conjunction() {
+    return (this.group && this.group.conjunction) || 'AND';
+  }
+
+  get fieldOptions() {
+    return (this.fields || []).map((f) => ({ label: `${f.label} (${f.fieldName})`, value: f.fieldName }));
+  }
+
+  get isNested() {
+    return this.depth > 0;
+  }
+
+  get canAddGroup() {
+    return this.depth < MAX_DEPTH - 1;
+  }
+
+  get childDepth() {
+    return this.depth + 1;
+  }
+
+  get groupClass() {
+    return this.isNested ? 'condition-group condition-group_nested slds-m-top_x-small' : 'condition-group';
+  }
+
+  get hasChildren() {
+    return this._children.length > 0;
+  }
+
+  get items() {
+    const dataTypes = new Map((this.fields || []).map((f) => [f.fieldName, f.dataType]));
+    return this._children.map((node) => {
+      if (node.type === 'group') {
+        return { key: node.id, node, isGroup: true };
+      }
+      const dataType = dataTypes.get(node.fieldName);
+      const isList = LIST_OPERATORS.includes(node.operator);
+      return {
+        key: node.id,
+        node,
+        isGroup: false,
+        operatorOptions: getOperatorsForType(dataType).map((op) => ({ label: OPERATOR_LABELS[op], value: op })),
+        showValue: !NO_VALUE_OPERATORS.includes(node.operator),
+        valuePlaceholder: isList ? 'Comma-separated values' : VALUE_PLACEHOLDERS[dataType] || 'Value or $record.Field'
+      };
+    });
+  }
+
+  get _children() {
+    return (this.group && this.group.children) || [];
+  }
+
+  handleConjunctionChange(event) {
+    this._emit({ ...this.group, conjunction: event.detail.value });
+  }
+
+  handleAddCondition() {
+    this._emit({ ...this.group, children: [...this._children, createConditionNode()] });
+  }
+
+  handleAddGroup() {
+    const group = createGroupNode(this.conjunction === 'AND' ? 'OR' : 'AND');
+    group.children = [createConditionNode()];
+    this._emit({ ...this.group, children: [...this._children, group] });
+  }
+
+  handleRemoveGroup() {
+    this.dispatchEvent(new CustomEvent('groupremove'));
+  }
+
+  handleFieldChange(event) {
+    const fieldName = event.detail.value;
+    const field = (this.fields || []).find((f) => f.fieldName === fieldName);
+    const operators = getOperatorsForType(field && field.dataType);
+    this._updateChild(event.target.dataset.id, (node) => ({
+      ...node,
+      fieldName,
+      // Keep the operator when the new field type still supports it
+      operator: operators.includes(node.operator) ? node.operator : operators[0],
+      value: ''
+    }));
+  }
+
+  handleOperatorChange(event) {
+    const operator = event.detail.value;
+    this._updateChild(event.target.dataset.id, (node) => ({
+      ...node,
+      operator,
+      value: NO_VALUE_OPERATORS.includes(operator) ? '' : node.value
+    }));
+  }
+
+  handleValueChange(event) {
+    const value = event.detail.value;
+    this._updateChild(event.target.dataset.id, (node) => ({ ...node, value }));
+  }
+
+  handleRemoveCondition(event) {
+    const id = event.currentTarget.dataset.id;
+    this._emit({ ...this.group, children: this._children.filter((node) => node.id !== id) });
+  }
+
+  handleChildGroupChange(event) {
+    event.stopPropagation();
+    const updated = event.detail.group;
+    this._updateChild(updated.id, () => updated);
+  }
+
+  handleChildGroupRemove(event) {
+    event.stopPropagation();
+    const id = event.target.dataset.id;
+    this._emit({ ...this.group, children: this._children.filter((node) => node.id !== id) });
+  }
+
+  _updateChild(id, update) {
+    this._emit({
+      ...this.group,
+      children: this._children.map((node) => (node.id === id ? update(node) : node))
+    });
+  }
+
+  _emit(group) {
+    this.dispatchEvent(new CustomEvent('groupchange', { detail: { group } }));
+  }
+}
@@ -0,0 +1,415 @@
+import {
+  CURRENT_SCHEMA_VERSION,
+  ConfigSchemaError,
+  MIGRATIONS,
+  describeConditions,
+  diffConfigs,
+  getSchemaVersion,
+  migrateConfig,
+  normalizeConfig,
+  parseConfig,
+  serializeConfig
+} from 'c/data360ConfigSchema';
+
+// Shape of a config saved before schemaVersion existed
+const LEGACY_CONFIG = {
+  objectApiName: 'Account',
+  fields: [
+    { fieldName: 'Name', label: 'Account Name', visible: true },
+    { fieldName: 'Industry', label: 'Industry', visible: true, sortable: false, searchable: true }
+  ],
+  whereClause: "WHERE Industry = 'Banking'",
+  limit: '25',
+  pageSize: '10',
+  showSearch: true
+};
+
+describe('c-data360-config-schema', () => {
+  describe('migrations', () => {
+    it('forms an unbroken chain up to the current version', () => {
+      let version = 0;
+      for (const step of MIGRATIONS) {
+        expect(step.from).toBe(version);
+        expect(step.to).toBe(version + 1);
+        version = step.to;
+      }
+      expect(version).toBe(CURRENT_SCHEMA_VERSION);
+    });
+
+    it('upgrades an unversioned config', () => {
+      const migrated = migrateConfig(LEGACY_CONFIG);
+
+      expect(migrated.schemaVersion).toBe(1);
+      expect(migrated.whereMode).toBe('raw');
+      expect(migrated.whereConditions).toBeNull();
+      expect(migrated.limit).toBe(25);
+      expect(migrated.pageSize).toBe(10);
+      expect(migrated.fields[0].sortable).toBe(true);
+      expect(migrated.fields[1].sortable).toBe(false);
+    });
+
+    it('opens unversioned configs without a WHERE clause in builder mode', () => {
+      const conditions = { type: 'group', conjunction: 'AND', children: [] };
+      const migrated = migrateConfig({ objectApiName: 'Account', whereConditions: conditions });
+
+      expect(migrated.whereMode).toBe('builder');
+      expect(migrated.whereConditions).toEqual(conditions);
+    });
+
+    it('leaves current-version configs unchanged', () => {
+      const config = { schemaVersion: CURRENT_SCHEMA_VERSION, limit: '25' };
+
+      expect(migrateConfig(config)).toBe(config);
+    });
+
+    it('does not modify the input', () => {
+      const input = JSON.parse(JSON.stringify(LEGACY_CONFIG));
+      migrateConfig(input);
+
+      expect(input).toEqual(LEGACY_CONFIG);
+    });
+  });
+
+  describe('getSchemaVersion', () => {
+    it('treats a missing version as unversioned', () => {
+      expect(getSchemaVersion({})).toBe(0);
+      expect(getSchemaVersion({ schemaVersion: null })).toBe(0);
+    });
+
+    it.each([['2'], [1.5], [-1], ['abc']])('rejects unknown version %p', (version) => {
+      expect(() => getSchemaVersion({ schemaVersion: version })).toThrow(ConfigSchemaError);
+      expect(() => getSchemaVersion({ schemaVersion: version })).toThrow('Unknown config schema version');
+    });
+
+    it('rejects versions newer than the code', () => {
+      const newer = CURRENT_SCHEMA_VERSION + 1;
+
+      expect(() => getSchemaVersion({ schemaVersion: newer })).toThrow(
+        `Config schema version ${newer} is newer than this component supports`
+      );
+    });
+  });
+
+  describe('normalizeConfig', () => {
+    it('fills defaults for every key', () => {
+      const config = normalizeConfig({ schemaVersion: 1, fields: [{ fieldName: 'Name', visible: true }] });
+
+      expect(config).toMatchObject({
+        queryEngine: 'soql',
+        sqlQuery: '',
+        objectApiName: '',
+        joins: [],
+        whereClause: '',
+        whereMode: 'builder',
+        whereConditions: null,
+        flowMergeValues: false,
+        limit: 100,
+        paginationMode: 'limit',
+        pageSize: 50,
+        defaultSortField: '',
+        defaultSortDirection: 'asc',
+        showRecordCount: false,
+        showSearch: false,
+        searchMode: 'client',
+        showFilters: false,
+        showRefresh: false,
+        showExport: false,
+        exportLimit: 2000,
+        isUsedAsRelatedList: false,
+        rowActions: [],
+        enableSelection: false,
+        bulkActions: [],
+        formatRules: [],
+        groupByFields: [],
+        aggregates: [],
+        showSummary: false,
+        cacheMinutes: 0,
+        persistCache: false,
+        serverCache: false,
+        pollSeconds: 0,
+        eventChannel: '',
+        viewState: { fieldVisibilityFilter: 'all', contextObjectApiName: '', contextRecordId: '' }
+      });
+      expect(config.fields[0]).toEqual({
+        fieldName: 'Name',
+        label: 'Name',
+        visible: true,
+        sortable: true,
+        searchable: false,
+        filterable: false,
+        format: null,
+        calculated: false,
+        expression: '',
+        resultType: 'text'
+      });
+    });
+
+    it('names row actions and fills their settings', () => {
+      const config = normalizeConfig({
+        schemaVersion: 1,
+        rowActions: [{ label: 'Open', idField: 'AccountId__c' }, { name: 'custom', type: 'event', eventName: 'pick' }]
+      });
+
+      expect(config.rowActions[0]).toEqual({
+        name: 'action-1',
+        label: 'Open',
+        type: 'navigate',
+        idField: 'AccountId__c',
+        urlTemplate: '',
+        flowApiName: '',
+        flowInputs: [],
+        eventName: ''
+      });
+      expect(config.rowActions[1]).toMatchObject({ name: 'custom', type: 'event', eventName: 'pick' });
+    });
+
+    it('defaults bulk actions to flows', () => {
+      const config = normalizeConfig({ schemaVersion: 1, bulkActions: [{ label: 'Create Tasks' }] });
+
+      expect(config.bulkActions[0]).toMatchObject({ name: 'bulk-1', label: 'Create Tasks', type: 'flow' });
+    });
+
+    it('keeps keys it does not know', () => {
+      const config = normalizeConfig({ schemaVersion: 1, futureOption: 'x', fields: [{ fieldName: 'Name', extra: 1 }] });
+
+      expect(config.futureOption).toBe('x');
+      expect(config.fields[0].extra).toBe(1);
+    });
+  });
+
+  describe('parseConfig', () => {
+    it('migrates and normalizes saved JSON', () => {
+      const config = parseConfig(JSON.stringify(LEGACY_CONFIG));
+
+      expect(config.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+      expect(config.limit).toBe(25);
+      expect(config.showSearch).toBe(true);
+      expect(config.searchMode).toBe('client');
+      expect(config.fields[1]).toMatchObject({ sortable: false, searchable: true, filterable: false });
+    });
+
+    it('rejects invalid JSON and non-object values', () => {
+      expect(() => parseConfig('{not json')).toThrow('Invalid config JSON');
+      expect(() => parseConfig('[]')).toThrow('expected an object');
+      expect(() => parseConfig('null')).toThrow(ConfigSchemaError);
+    });
+
+    it('rejects newer configs with a clear error', () => {
+      expect(() => parseConfig(JSON.stringify({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 }))).toThrow(
+        'newer than this component supports'
+      );
+    });
+  });
+
+  describe('serializeConfig', () => {
+    it('stamps the current version and round-trips through parseConfig', () => {
+      const json = serializeConfig({ objectApiName: 'Account', limit: '30', fields: [] });
+      const saved = JSON.parse(json);
+
+      expect(saved.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+      expect(saved.limit).toBe(30);
+      expect(parseConfig(json)).toEqual(saved);
+    });
+  });
+
+  describe('diffConfigs', () => {
+    const base = {
+      schemaVersion: 1,
+      objectApiName: 'Account',
+      fields: [
+        { fieldName: 'Name', label: 'Name', visible: true },
+        { fieldName: 'Industry', label: 'Industry', visible: true },
+        { fieldName: 'Phone', label: 'Phone', visible: false }
+      ],
+      whereMode: 'raw',
+      whereClause: "WHERE Industry = 'Banking'",
+      limit: 100
+    };
+
+    it('finds no changes between equal configs', () => {
+      expect(diffConfigs(base, { ...base, viewState: { contextRecordId: '001' } })).toEqual([]);
+    });
+
+    it('reports added, removed and relabeled columns', () => {
+      const after = {
+        ...base,
+        fields: [
+          { fieldName: 'Name', label: 'Account Name', visible: true, searchable: true },
+          { fieldName: 'Industry', label: 'Industry', visible: false },
+          { fieldName: 'Phone', label: 'Phone', visible: true }
+        ]
+      };
+
+      expect(diffConfigs(base, after)).toEqual([
+        { key: 'Columns-added', section: 'Columns', label: 'Columns added', before: '', after: 'Phone' },
+        { key: 'Columns-removed', section: 'Columns', label: 'Columns removed', before: 'Industry', after: '' },
+        { key: 'Columns-Name label', section: 'Columns', label: 'Name label', before: 'Name', after: 'Account Name' },
+        { key: 'Columns-Name Searchable', section: 'Columns', label: 'Name Searchable', before: 'Off', after: 'On' }
+      ]);
+    });
+
+    it('reports reordered columns, WHERE and option changes', () => {
+      const after = {
+        ...base,
+        fields: [base.fields[1], base.fields[0], base.fields[2]],
+        whereMode: 'builder',
+        whereConditions: {
+          type: 'group',
+          conjunction: 'AND',
+          children: [{ type: 'condition', fieldName: 'Industry', operator: 'isNull', value: '' }]
+        },
+        limit: '50',
+        showSearch: true
+      };
+
+      const changes = diffConfigs(base, after).map((c) => [c.label, c.before, c.after]);
+
+      expect(changes).toEqual([
+        ['Column order', 'Name, Industry', 'Industry, Name'],
+        ['WHERE mode', 'SOQL', 'Builder'],
+        ['WHERE clause', "WHERE Industry = 'Banking'", 'Industry is empty'],
+        ['Row limit', '100', '50'],
+        ['Show search', 'Off', 'On']
+      ]);
+    });
+  });
+
+  describe('diffConfigs calculated columns', () => {
+    it('reports edited expressions and result types', () => {
+      const score = { fieldName: 'calc_1', label: 'Score', visible: true, calculated: true, expression: 'Amount / 100' };
+      const before = { schemaVersion: 1, fields: [score] };
+      const after = {
+        schemaVersion: 1,
+        fields: [{ ...score, expression: 'ROUND(Amount / 100, 1)', resultType: 'number' }]
+      };
+
+      expect(diffConfigs(before, after).map((c) => [c.label, c.before, c.after])).toEqual([
+        ['calc_1 expression', 'Amount / 100', 'ROUND(Amount / 100, 1)'],
+        ['calc_1 result type', 'text', 'number']
+      ]);
+    });
+  });
+
+  describe('diffConfigs format rules', () => {
+    const churn = { name: 'rule-1', fieldName: 'Churn_Score__c', operator: 'greaterThan', value: 0.8, style: 'error' };
+    const inactive = {
+      name: 'rule-2',
+      fieldName: 'Status__c',
+      operator: 'equals',
+      value: 'Inactive',
+      iconName: 'utility:warning',
+      scope: 'row'
+    };
+
+    it('reports added, edited and reordered rules', () => {
+      const before = { schemaVersion: 1, formatRules: [churn] };
+      const after = { schemaVersion: 1, formatRules: [inactive, { ...churn, operator: 'between', valueTo: '1' }] };
+
+      expect(diffConfigs(before, after).map((c) => [c.label, c.before, c.after])).toEqual([
+        ['Rules added', '', 'Status__c equals Inactive: utility:warning (whole row)'],
+        ['Rule 1', 'Churn_Score__c greater than 0.8: Red Background', 'Churn_Score__c between 0.8 and 1: Red Background']
+      ]);
+    });
+  });
+
+  describe('diffConfigs grouping', () => {
+    it('reports group fields, aggregate columns and the summary row', () => {
+      const before = { schemaVersion: 1, groupByFields: ['Segment__c'], aggregates: [{ operation: 'count', fieldName: 'Id' }] };
+      const after = {
+        schemaVersion: 1,
+        groupByFields: ['Segment__c', 'Region__c'],
+        aggregates: [
+          { alias: 'agg_1', operation: 'COUNT', fieldName: 'Id' },
+          { alias: 'agg_2', operation: 'AVG', fieldName: 'Engagement_Score__c', label: 'Avg Engagement' }
+        ],
+        showSummary: true
+      };
+
+      expect(diffConfigs(before, after).map((c) => [c.label, c.before, c.after])).toEqual([
+        ['Group by', 'Segment__c', 'Segment__c, Region__c'],
+        ['Aggregate columns', 'agg_1: Count of Id', 'agg_1: Count of Id; Avg Engagement: Average of Engagement_Score__c'],
+        ['Show summary row', 'Off', 'On']
+      ]);
+    });
+  });
+
+  describe('diffConfigs query engine', () => {
+    it('reports a switch to Data Cloud SQL', () => {
+      const before = { schemaVersion: 1, objectApiName: 'Account' };
+      const after = { schemaVersion: 1, queryEngine: 'sql', sqlQuery: 'SELECT ssot__Id__c FROM ssot__Individual__dlm' };
+
+      expect(diffConfigs(before, after).map((c) => [c.label, c.before, c.after])).toEqual([
+        ['Query engine', 'SOQL', 'Data Cloud SQL'],
+        ['Object', 'Account', '(none)'],
+        ['SQL query', '(none)', 'SELECT ssot__Id__c FROM ssot__Individual__dlm']
+      ]);
+    });
+  });
+
+  describe('diffConfigs joins', () => {
+    it('reports joined objects and their keys', () => {
+      const before = { schemaVersion: 1, objectApiName: 'ssot__Individual__dlm' };
+      const after = {
+        ...before,
+        joins: [
+          { objectApiName: 'ssot__ContactPointEmail__dlm', label: 'Email', primaryField: 'ssot__Id__c', joinField: 'ssot__PartyId__c' }
+        ]
+      };
+
+      expect(diffConfigs(before, after).map((c) => [c.label, c.before, c.after])).toEqual([
+        ['Joined objects', '(none)', 'Email on ssot__Id__c = ssot__PartyId__c']
+      ]);
+    });
+  });
+
+  describe('diffConfigs row actions', () => {
+    const open = { name: 'action-1', label: 'Open Account', type: 'navigate', idField: 'AccountId__c' };
+    const flow = {
+      name: 'action-2',
+      label: 'Log Call',
+      type: 'flow',
+      flowApiName: 'Log_Call',
+      flowInputs: [{ name: 'recordId', fieldName: 'Id' }]
+    };
+
+    it('reports added, removed and edited actions', () => {
+      const before = { schemaVersion: 1, rowActions: [open, flow] };
+      const after = {
+        schemaVersion: 1,
+        rowActions: [
+          { ...flow, flowInputs: [...flow.flowInputs, { name: 'phone', fieldName: 'Phone' }] },
+          { name: 'action-3', label: 'Select', type: 'event', eventName: 'select' }
+        ]
+      };
+
+      expect(diffConfigs(before, after).map((c) => [c.label, c.before, c.after])).toEqual([
+        ['Row actions added', '', 'Select'],
+        ['Row actions removed', 'Open Account', ''],
+        ['Log Call flow inputs', 'recordId=Id', 'recordId=Id, phone=Phone']
+      ]);
+    });
+  });
+
+  describe('describeConditions', () => {
+    it('reads nested groups with parentheses', () => {
+      const tree = {
+        type: 'group',
+        conjunction: 'AND',
+        children: [
+          { type: 'condition', fieldName: 'Industry', operator: 'equals', value: 'Banking' },
+          {
+            type: 'group',
+            conjunction: 'OR',
+            children: [
+              { type: 'condition', fieldName: 'Rating', operator: 'isNull', value: '' },
+              { type: 'condition', fieldName: 'Rating', operator: 'equals', value: 'Hot' }
+            ]
+          }
+        ]
+      };
+
+      expect(describeConditions(tree)).toBe('Industry equals Banking AND (Rating is empty OR Rating equals Hot)');
+      expect(describeConditions(null)).toBe('');
+    });
+  });
+});
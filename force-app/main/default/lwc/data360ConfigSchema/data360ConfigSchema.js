@@ -0,0 +1,483 @@
+/**
+ * Reads and writes Config_JSON__c. Every saved config carries a
+ * schemaVersion; older JSON is upgraded on load by the ordered MIGRATIONS
+ * chain and then normalized, so callers always see every key with its
+ * default instead of reading loose keys with fallbacks.
+ *
+ * Data360ConfigService.parseConfigJson applies the same migrations and
+ * defaults in Apex. Keep the two in step.
+ */
+
+import { OPERATOR_LABELS } from 'c/data360ConditionGroup';
+import { formatFlowInputs } from 'c/data360RowActions';
+import { describeFormatRule } from 'c/data360FormatRules';
+import { describeAggregate } from 'c/data360Aggregates';
+import { describeJoin } from 'c/data360Joins';
+
+export const CURRENT_SCHEMA_VERSION = 1;
+
+// Configs saved before schemaVersion existed
+const UNVERSIONED = 0;
+
+const DEFAULT_ROW_LIMIT = 100;
+const DEFAULT_PAGE_SIZE = 50;
+const DEFAULT_EXPORT_LIMIT = 2000;
+
+export class ConfigSchemaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigSchemaError';
+  }
+}
+
+function toInteger(value, defaultValue) {
+  const parsed = parseInt(value, 10);
+  return isNaN(parsed) ? defaultValue : parsed;
+}
+
+/**
+ * Each step upgrades a config from one version to the next. Steps run in
+ * order, so a migration only has to handle the version right before it.
+ * Keep the list sorted and unbroken.
+ */
+export const MIGRATIONS = [
+  {
+    from: UNVERSIONED,
+    to: 1,
+    migrate(config) {
+      const whereMode = config.whereMode || (config.whereClause ? 'raw' : 'builder');
+      return {
+        ...config,
+        whereMode,
+        // Raw mode never saved conditions, but early builds could leave some behind
+        whereConditions: whereMode === 'builder' ? config.whereConditions || null : null,
+        // lightning-input saved numbers as strings
+        limit: toInteger(config.limit, DEFAULT_ROW_LIMIT),
+        pageSize: toInteger(config.pageSize, DEFAULT_PAGE_SIZE),
+        exportLimit: toInteger(config.exportLimit, DEFAULT_EXPORT_LIMIT),
+        // Fields saved before per-field sort flags were sortable
+        fields: (config.fields || []).map((field) => ({ ...field, sortable: field.sortable !== false }))
+      };
+    }
+  }
+];
+
+/**
+ * Reads schemaVersion, treating a missing one as an unversioned config.
+ * Throws for anything that is not a version this code knows.
+ */
+export function getSchemaVersion(config) {
+  const version = config.schemaVersion;
+  if (version === undefined || version === null) {
+    return UNVERSIONED;
+  }
+  if (!Number.isInteger(version) || version < UNVERSIONED) {
+    throw new ConfigSchemaError(`Unknown config schema version: ${JSON.stringify(version)}`);
+  }
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new ConfigSchemaError(
+      `Config schema version ${version} is newer than this component supports (${CURRENT_SCHEMA_VERSION}). ` +
+        'Deploy the latest Data 360 Table package.'
+    );
+  }
+  return version;
+}
+
+/**
+ * Upgrades a parsed config to CURRENT_SCHEMA_VERSION.
+ */
+export function migrateConfig(config) {
+  const version = getSchemaVersion(config);
+  let migrated = config;
+  for (const step of MIGRATIONS) {
+    if (step.from >= version) {
+      migrated = { ...step.migrate(migrated), schemaVersion: step.to };
+    }
+  }
+  return migrated;
+}
+
+// Calculated columns are not fields of the object; see c/data360Expression
+function normalizeField(field) {
+  return {
+    ...field,
+    fieldName: field.fieldName || '',
+    label: field.label || field.fieldName || '',
+    visible: field.visible === true,
+    sortable: field.sortable !== false,
+    searchable: field.searchable === true,
+    filterable: field.filterable === true,
+    format: field.format || null,
+    calculated: field.calculated === true,
+    expression: field.expression || '',
+    resultType: field.resultType || 'text'
+  };
+}
+
+// See c/data360Joins
+function normalizeJoin(join) {
+  return {
+    ...join,
+    objectApiName: join.objectApiName || '',
+    label: join.label || join.objectApiName || '',
+    primaryField: join.primaryField || '',
+    joinField: join.joinField || ''
+  };
+}
+
+// Row and bulk actions share one shape; see c/data360RowActions
+function normalizeAction(action, index, namePrefix, defaultType) {
+  return {
+    ...action,
+    name: action.name || `${namePrefix}-${index + 1}`,
+    label: action.label || '',
+    type: action.type || defaultType,
+    idField: action.idField || '',
+    urlTemplate: action.urlTemplate || '',
+    flowApiName: action.flowApiName || '',
+    flowInputs: (action.flowInputs || []).map((input) => ({
+      name: input.name || '',
+      fieldName: input.fieldName || ''
+    })),
+    eventName: action.eventName || ''
+  };
+}
+
+// See c/data360FormatRules
+function normalizeFormatRule(rule, index) {
+  return {
+    ...rule,
+    name: rule.name || `rule-${index + 1}`,
+    fieldName: rule.fieldName || '',
+    operator: rule.operator || 'equals',
+    value: rule.value === undefined || rule.value === null ? '' : String(rule.value),
+    valueTo: rule.valueTo === undefined || rule.valueTo === null ? '' : String(rule.valueTo),
+    scope: rule.scope === 'row' ? 'row' : 'cell',
+    style: rule.style || '',
+    iconName: rule.iconName || '',
+    iconPosition: rule.iconPosition === 'right' ? 'right' : 'left'
+  };
+}
+
+// See c/data360Aggregates
+function normalizeAggregate(aggregate, index) {
+  return {
+    ...aggregate,
+    alias: aggregate.alias || `agg_${index + 1}`,
+    operation: (aggregate.operation || 'COUNT').toUpperCase(),
+    fieldName: aggregate.fieldName || '',
+    label: aggregate.label || ''
+  };
+}
+
+/**
+ * Fills every key of a current-version config with its default. Keys this
+ * version does not know are kept as they are.
+ */
+export function normalizeConfig(config) {
+  const viewState = config.viewState || {};
+  return {
+    ...config,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    // 'soql' builds the query from objectApiName and fields; 'sql' runs sqlQuery on Data Cloud
+    queryEngine: config.queryEngine === 'sql' ? 'sql' : 'soql',
+    sqlQuery: config.sqlQuery || '',
+    objectApiName: config.objectApiName || '',
+    joins: (config.joins || []).map((join) => normalizeJoin(join)),
+    fields: (config.fields || []).map((field) => normalizeField(field)),
+    whereClause: config.whereClause || '',
+    whereMode: config.whereMode === 'raw' ? 'raw' : 'builder',
+    whereConditions: config.whereConditions || null,
+    flowMergeValues: config.flowMergeValues === true,
+    limit: toInteger(config.limit, DEFAULT_ROW_LIMIT),
+    paginationMode: config.paginationMode || 'limit',
+    pageSize: toInteger(config.pageSize, DEFAULT_PAGE_SIZE),
+    defaultSortField: config.defaultSortField || '',
+    defaultSortDirection: config.defaultSortDirection === 'desc' ? 'desc' : 'asc',
+    showRecordCount: config.showRecordCount === true,
+    showSearch: config.showSearch === true,
+    searchMode: config.searchMode === 'server' ? 'server' : 'client',
+    showFilters: config.showFilters === true,
+    showRefresh: config.showRefresh === true,
+    showExport: config.showExport === true,
+    exportLimit: toInteger(config.exportLimit, DEFAULT_EXPORT_LIMIT),
+    isUsedAsRelatedList: config.isUsedAsRelatedList === true,
+    rowActions: (config.rowActions || []).map((action, index) => normalizeAction(action, index, 'action', 'navigate')),
+    enableSelection: config.enableSelection === true,
+    bulkActions: (config.bulkActions || []).map((action, index) => normalizeAction(action, index, 'bulk', 'flow')),
+    formatRules: (config.formatRules || []).map((rule, index) => normalizeFormatRule(rule, index)),
+    groupByFields: config.groupByFields || [],
+    aggregates: (config.aggregates || []).map((aggregate, index) => normalizeAggregate(aggregate, index)),
+    showSummary: config.showSummary === true,
+    // Minutes a table may show cached rows for while it reloads; 0 turns caching off
+    cacheMinutes: Math.max(toInteger(config.cacheMinutes, 0), 0),
+    // Also keep cached rows in sessionStorage, past a reload; memory only by default
+    persistCache: config.persistCache === true,
+    serverCache: config.serverCache === true,
+    // Seconds between polls (0 for none) and a Platform Event or Change Data Capture channel to refresh on
+    pollSeconds: Math.max(toInteger(config.pollSeconds, 0), 0),
+    eventChannel: config.eventChannel || '',
+    viewState: {
+      ...viewState,
+      fieldVisibilityFilter: viewState.fieldVisibilityFilter || 'all',
+      contextObjectApiName: viewState.contextObjectApiName || '',
+      contextObjectLabel: viewState.contextObjectLabel || '',
+      contextObjectSearchTerm: viewState.contextObjectSearchTerm || '',
+      contextRecordId: viewState.contextRecordId || ''
+    }
+  };
+}
+
+/**
+ * Parses Config_JSON__c into a migrated, normalized config. Throws
+ * ConfigSchemaError for invalid JSON and unsupported versions.
+ */
+export function parseConfig(json) {
+  let config;
+  try {
+    config = JSON.parse(json);
+  } catch (e) {
+    throw new ConfigSchemaError(`Invalid config JSON: ${e.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigSchemaError('Invalid config JSON: expected an object');
+  }
+  return normalizeConfig(migrateConfig(config));
+}
+
+/**
+ * Serializes a config for Config_JSON__c, stamped with the current version.
+ */
+export function serializeConfig(config) {
+  return JSON.stringify(normalizeConfig({ ...config, schemaVersion: CURRENT_SCHEMA_VERSION }));
+}
+
+// Table options compared by diffConfigs, in display order
+const OPTION_LABELS = {
+  limit: 'Row limit',
+  paginationMode: 'Row loading',
+  pageSize: 'Page size',
+  defaultSortField: 'Default sort field',
+  defaultSortDirection: 'Default sort direction',
+  showRecordCount: 'Show record count',
+  showSearch: 'Show search',
+  searchMode: 'Search mode',
+  showFilters: 'Show filters',
+  showRefresh: 'Show refresh',
+  showExport: 'Show export',
+  exportLimit: 'Export limit',
+  isUsedAsRelatedList: 'Used as related list',
+  flowMergeValues: 'Accept flow merge values',
+  enableSelection: 'Row selection',
+  showSummary: 'Show summary row',
+  cacheMinutes: 'Cache minutes',
+  persistCache: 'Keep cache across reloads',
+  serverCache: 'Server cache',
+  pollSeconds: 'Poll seconds',
+  eventChannel: 'Refresh event channel'
+};
+
+const FIELD_FLAG_LABELS = {
+  sortable: 'Sortable',
+  searchable: 'Searchable',
+  filterable: 'Filterable'
+};
+
+const ACTION_SETTING_LABELS = {
+  type: 'type',
+  idField: 'ID field',
+  urlTemplate: 'URL',
+  flowApiName: 'flow',
+  flowInputs: 'flow inputs',
+  eventName: 'event name'
+};
+
+function displayValue(value) {
+  if (value === true) {
+    return 'On';
+  }
+  if (value === false) {
+    return 'Off';
+  }
+  if (value === null || value === undefined || value === '') {
+    return '(none)';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Reads a condition tree as text, e.g.
+ * "Industry equals Banking AND (Rating is empty OR Rating equals Hot)".
+ */
+export function describeConditions(node, isNested = false) {
+  if (!node) {
+    return '';
+  }
+  if (node.type !== 'group') {
+    const operator = OPERATOR_LABELS[node.operator] || node.operator;
+    const value = node.value === undefined || node.value === null ? '' : node.value;
+    return [node.fieldName, operator, value].filter((part) => part !== '').join(' ');
+  }
+  const parts = (node.children || []).map((child) => describeConditions(child, true)).filter((part) => part);
+  const text = parts.join(` ${node.conjunction || 'AND'} `);
+  return isNested && parts.length > 1 ? `(${text})` : text;
+}
+
+/**
+ * Field-level differences between two configs, for the configurator's
+ * History panel: [{ key, section, label, before, after }] with display
+ * strings. Both configs are normalized first, so a missing key and its
+ * default compare equal. viewState is editor state and is not compared.
+ */
+export function diffConfigs(before, after) {
+  const oldConfig = normalizeConfig(migrateConfig(before || {}));
+  const newConfig = normalizeConfig(migrateConfig(after || {}));
+  const changes = [];
+  const add = (section, label, oldValue, newValue) => {
+    const oldText = displayValue(oldValue);
+    const newText = displayValue(newValue);
+    if (oldText !== newText) {
+      changes.push({ key: `${section}-${label}`, section, label, before: oldText, after: newText });
+    }
+  };
+
+  const engineLabel = (config) => (config.queryEngine === 'sql' ? 'Data Cloud SQL' : 'SOQL');
+  add('Object', 'Query engine', engineLabel(oldConfig), engineLabel(newConfig));
+  add('Object', 'Object', oldConfig.objectApiName, newConfig.objectApiName);
+  add('Object', 'SQL query', oldConfig.sqlQuery, newConfig.sqlQuery);
+  const joinText = (config) => config.joins.map((join) => describeJoin(join)).join('; ');
+  add('Object', 'Joined objects', joinText(oldConfig), joinText(newConfig));
+
+  const visibleFields = (config) => config.fields.filter((f) => f.visible);
+  const oldFields = new Map(visibleFields(oldConfig).map((f) => [f.fieldName, f]));
+  const newFields = new Map(visibleFields(newConfig).map((f) => [f.fieldName, f]));
+  const added = [...newFields.keys()].filter((name) => !oldFields.has(name));
+  const removed = [...oldFields.keys()].filter((name) => !newFields.has(name));
+  if (added.length) {
+    changes.push({
+      key: 'Columns-added',
+      section: 'Columns',
+      label: 'Columns added',
+      before: '',
+      after: added.join(', ')
+    });
+  }
+  if (removed.length) {
+    changes.push({
+      key: 'Columns-removed',
+      section: 'Columns',
+      label: 'Columns removed',
+      before: removed.join(', '),
+      after: ''
+    });
+  }
+  const keptOrder = (fields, other) => [...fields.keys()].filter((name) => other.has(name)).join(', ');
+  add('Columns', 'Column order', keptOrder(oldFields, newFields), keptOrder(newFields, oldFields));
+  newFields.forEach((newField, name) => {
+    const oldField = oldFields.get(name);
+    if (!oldField) {
+      return;
+    }
+    add('Columns', `${name} label`, oldField.label, newField.label);
+    Object.keys(FIELD_FLAG_LABELS).forEach((flag) => {
+      add('Columns', `${name} ${FIELD_FLAG_LABELS[flag]}`, oldField[flag], newField[flag]);
+    });
+    add('Columns', `${name} format`, oldField.format, newField.format);
+    add('Columns', `${name} expression`, oldField.expression, newField.expression);
+    add('Columns', `${name} result type`, oldField.resultType, newField.resultType);
+  });
+
+  const whereModeLabel = (config) => (config.whereMode === 'raw' ? 'SOQL' : 'Builder');
+  add('WHERE', 'WHERE mode', whereModeLabel(oldConfig), whereModeLabel(newConfig));
+  add('WHERE', 'WHERE clause', whereText(oldConfig), whereText(newConfig));
+
+  const actionLists = [
+    ['rowActions', 'Actions', 'Row actions'],
+    ['bulkActions', 'Bulk Actions', 'Bulk actions']
+  ];
+  actionLists.forEach(([listKey, section, noun]) => {
+    const oldActions = new Map(oldConfig[listKey].map((a) => [a.name, a]));
+    const newActions = new Map(newConfig[listKey].map((a) => [a.name, a]));
+    const actionLabels = (actions, other) =>
+      [...actions.values()].filter((a) => !other.has(a.name)).map((a) => a.label || a.name);
+    const addedActions = actionLabels(newActions, oldActions);
+    const removedActions = actionLabels(oldActions, newActions);
+    if (addedActions.length) {
+      changes.push({
+        key: `${section}-added`,
+        section,
+        label: `${noun} added`,
+        before: '',
+        after: addedActions.join(', ')
+      });
+    }
+    if (removedActions.length) {
+      changes.push({
+        key: `${section}-removed`,
+        section,
+        label: `${noun} removed`,
+        before: removedActions.join(', '),
+        after: ''
+      });
+    }
+    newActions.forEach((newAction, name) => {
+      const oldAction = oldActions.get(name);
+      if (!oldAction) {
+        return;
+      }
+      const title = newAction.label || name;
+      add(section, `${title} label`, oldAction.label, newAction.label);
+      const setting = (action, key) => (key === 'flowInputs' ? formatFlowInputs(action.flowInputs) : action[key]);
+      Object.keys(ACTION_SETTING_LABELS).forEach((key) => {
+        add(section, `${title} ${ACTION_SETTING_LABELS[key]}`, setting(oldAction, key), setting(newAction, key));
+      });
+    });
+  });
+
+  const oldRules = new Map(oldConfig.formatRules.map((rule) => [rule.name, rule]));
+  const newRules = new Map(newConfig.formatRules.map((rule) => [rule.name, rule]));
+  const ruleTexts = (rules, other) =>
+    [...rules.values()].filter((rule) => !other.has(rule.name)).map((rule) => describeFormatRule(rule));
+  const addedRules = ruleTexts(newRules, oldRules);
+  const removedRules = ruleTexts(oldRules, newRules);
+  if (addedRules.length) {
+    changes.push({
+      key: 'Formatting-added',
+      section: 'Formatting',
+      label: 'Rules added',
+      before: '',
+      after: addedRules.join('; ')
+    });
+  }
+  if (removedRules.length) {
+    changes.push({
+      key: 'Formatting-removed',
+      section: 'Formatting',
+      label: 'Rules removed',
+      before: removedRules.join('; '),
+      after: ''
+    });
+  }
+  newRules.forEach((newRule, name) => {
+    const oldRule = oldRules.get(name);
+    if (oldRule) {
+      add('Formatting', `Rule ${name.replace('rule-', '')}`, describeFormatRule(oldRule), describeFormatRule(newRule));
+    }
+  });
+  const ruleOrder = (rules, other) => [...rules.keys()].filter((name) => other.has(name)).join(', ');
+  add('Formatting', 'Rule order', ruleOrder(oldRules, newRules), ruleOrder(newRules, oldRules));
+
+  add('Grouping', 'Group by', oldConfig.groupByFields.join(', '), newConfig.groupByFields.join(', '));
+  const aggregateText = (config) =>
+    config.aggregates.map((aggregate) => `${aggregate.label || aggregate.alias}: ${describeAggregate(aggregate)}`).join('; ');
+  add('Grouping', 'Aggregate columns', aggregateText(oldConfig), aggregateText(newConfig));
+
+  Object.keys(OPTION_LABELS).forEach((option) => {
+    add('Options', OPTION_LABELS[option], oldConfig[option], newConfig[option]);
+  });
+  return changes;
+}
+
+function whereText(config) {
+  return config.whereMode === 'raw' ? config.whereClause : describeConditions(config.whereConditions);
+}
@@ -3,24 +3,197 @@ import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 
 import getConfigs from '@salesforce/apex/Data360ConfigService.getConfigs';
 import saveConfig from '@salesforce/apex/Data360ConfigService.saveConfig';
+import publishConfig from '@salesforce/apex/Data360ConfigService.publishConfig';
+import discardConfigDraft from '@salesforce/apex/Data360ConfigService.discardConfigDraft';
 import deleteConfig from '@salesforce/apex/Data360ConfigService.deleteConfig';
 import getDataCloudFields from '@salesforce/apex/Data360ConfigService.getDataCloudFields';
+import executeSqlQuery from '@salesforce/apex/Data360ConfigService.executeSqlQuery';
 import getSearchableObjects from '@salesforce/apex/Data360ConfigService.getSearchableObjects';
 import getRecordFieldValues from '@salesforce/apex/Data360ConfigService.getRecordFieldValues';
+import resolveMergeFields from '@salesforce/apex/Data360ConfigService.resolveMergeFields';
+import compileWhereConditions from '@salesforce/apex/Data360ConfigService.compileWhereConditions';
+import parseWhereClause from '@salesforce/apex/Data360ConfigService.parseWhereClause';
+import validateConfig from '@salesforce/apex/Data360ConfigService.validateConfig';
+import validateAllConfigs from '@salesforce/apex/Data360ConfigService.validateAllConfigs';
+import exportConfigBundle from '@salesforce/apex/Data360ConfigService.exportConfigBundle';
+import importConfigBundle from '@salesforce/apex/Data360ConfigService.importConfigBundle';
+import getConfigHistory from '@salesforce/apex/Data360ConfigService.getConfigHistory';
+import restoreConfigRevision from '@salesforce/apex/Data360ConfigService.restoreConfigRevision';
+import { createGroupNode, withNodeIds } from 'c/data360ConditionGroup';
+import { diffConfigs, parseConfig, serializeConfig } from 'c/data360ConfigSchema';
+import { buildFileName, downloadFile } from 'c/data360Export';
+import { BULK_ACTION_TYPES, ROW_ACTION_TYPES, formatFlowInputs, parseFlowInputs } from 'c/data360RowActions';
+import { RESULT_TYPES, getExpressionFields, parseExpression } from 'c/data360Expression';
+import { NO_VALUE_OPERATORS, RULE_OPERATORS, RULE_STYLES } from 'c/data360FormatRules';
+import {
+  AGGREGATE_OPERATIONS,
+  buildGroupedSelect,
+  describeAggregate,
+  isGroupedConfig,
+  toAggregateExpression
+} from 'c/data360Aggregates';
+import { buildJoinState, getJoinKeyFields, isJoinedField } from 'c/data360Joins';
+
+const COMPILE_DEBOUNCE_MS = 300;
+
+// Default lightning-datatable type for each Schema.DisplayType, mirroring
+// Data360ConfigService.applyDataType
+const DATA_TYPE_COLUMN_TYPES = {
+  currency: 'currency',
+  percent: 'percent-fixed',
+  double: 'number',
+  integer: 'number',
+  long: 'number',
+  email: 'email',
+  phone: 'phone',
+  url: 'url',
+  boolean: 'boolean',
+  date: 'date-local',
+  datetime: 'date'
+};
+
+// Field data type of a calculated column, so it formats like a real field
+const RESULT_DATA_TYPES = {
+  text: 'string',
+  number: 'double',
+  date: 'date',
+  boolean: 'boolean'
+};
+
+const COLUMN_TYPE_LABELS = {
+  text: 'Text',
+  number: 'Number',
+  currency: 'Currency',
+  'percent-fixed': 'Percent',
+  'date-local': 'Date',
+  date: 'Date & Time',
+  email: 'Email',
+  phone: 'Phone',
+  url: 'URL',
+  boolean: 'Checkbox'
+};
+
+// SOQL follows at most five relationships from the queried object
+const MAX_RELATIONSHIP_DEPTH = 5;
+
+/**
+ * The relationship path a lookup field reaches its parent through: Owner
+ * for OwnerId, Account.Owner for the parent field Account.OwnerId.
+ */
+function relationshipPath(lookup) {
+  return lookup.fieldName.substring(0, lookup.fieldName.lastIndexOf('.') + 1) + lookup.relationshipName;
+}
+
+function canExpandLookup(field) {
+  return (
+    !!field.relationshipName && !field.expanded && relationshipPath(field).split('.').length <= MAX_RELATIONSHIP_DEPTH
+  );
+}
+
+/**
+ * Template flags for one row or bulk action in the Actions editor.
+ */
+function toActionItem(action) {
+  return {
+    ...action,
+    isNavigate: action.type === 'navigate',
+    isUrl: action.type === 'url',
+    isFlow: action.type === 'flow',
+    isEvent: action.type === 'event'
+  };
+}
+
+function toEditorActions(actions) {
+  return actions.map(action => ({ ...action, flowInputsText: formatFlowInputs(action.flowInputs) }));
+}
+
+function toSavedActions(actions) {
+  return actions.map(({ flowInputsText, ...action }) => ({ ...action, flowInputs: parseFlowInputs(flowInputsText) }));
+}
+
+/**
+ * Display rows for validation findings ({ severity, fieldName, message }).
+ */
+function toFindingItems(findings, keyPrefix) {
+  return findings.map((finding, idx) => {
+    const isError = finding.severity === 'error';
+    return {
+      key: `${keyPrefix}-${idx}`,
+      message: finding.message,
+      iconName: isError ? 'utility:error' : 'utility:warning',
+      iconVariant: isError ? 'error' : 'warning'
+    };
+  });
+}
+
+// What importing a bundle entry does, by Data360ConfigService.importConfigBundle action
+const IMPORT_ACTION_LABELS = {
+  create: 'Create',
+  overwrite: 'Overwrite existing',
+  rename: 'Create as',
+  skip: 'Skip, name in use',
+  error: 'Not imported'
+};
+
+function summarizeFindings(errorCount, warningCount) {
+  const parts = [];
+  if (errorCount > 0) {
+    parts.push(`${errorCount} error${errorCount === 1 ? '' : 's'}`);
+  }
+  if (warningCount > 0) {
+    parts.push(`${warningCount} warning${warningCount === 1 ? '' : 's'}`);
+  }
+  return parts.join(', ');
+}
 
 export default class Data360Configurator extends LightningElement {
   configName = '';
   configDescription = '';
+  // Saved with the next revision, then cleared
+  changeNote = '';
   selectedConfigId = '';
+  // 'soql' queries selectedObject; 'sql' runs sqlQuery on Data Cloud and takes its columns as fields
+  queryEngine = 'soql';
+  sqlQuery = '';
   selectedObject = '';
+  // Joined objects: [{ objectApiName, label, primaryField, joinField }]; see c/data360Joins
+  joins = [];
+  joinObjectInput = '';
   whereClause = '';
+  // 'builder' compiles whereConditions on the server; 'raw' edits whereClause directly
+  whereMode = 'builder';
+  whereConditions = createGroupNode();
+  whereBuilderError = '';
+  _compileTimeout;
   rowLimit = 100;
+  paginationMode = 'limit';
+  pageSize = 50;
   defaultSortField = '';
   defaultSortDirection = 'asc';
   showRecordCount = false;
   showSearch = false;
+  searchMode = 'client';
+  showFilters = false;
   showRefresh = false;
+  showExport = false;
+  exportLimit = 2000;
+  cacheMinutes = 0;
+  persistCache = false;
+  serverCache = false;
+  pollSeconds = 0;
+  eventChannel = '';
   isUsedAsRelatedList = false;
+  flowMergeValues = false;
+  // Editor copies of config.rowActions and config.bulkActions; flow inputs are edited as text
+  rowActions = [];
+  enableSelection = false;
+  bulkActions = [];
+  // Editor copy of config.formatRules
+  formatRules = [];
+  // Editor copies of config.groupByFields and config.aggregates
+  groupByFields = [];
+  aggregates = [];
+  showSummary = false;
 
   @track fields = [];
   configOptions = [];
@@ -28,6 +201,25 @@ export default class Data360Configurator extends LightningElement {
   isLoading = false;
   showDeleteModal = false;
 
+  // Schema validation of the loaded or about-to-save config
+  validationFindings = [];
+  showValidationReport = false;
+  validationReport = [];
+
+  // Config bundle export and import
+  showExportBundleModal = false;
+  exportBundleConfigIds = [];
+  showImportBundleModal = false;
+  importBundleJson = '';
+  importFileName = '';
+  importConflictMode = 'skip';
+  importPreview = null;
+
+  // Revision history of the loaded config, newest first
+  showHistoryModal = false;
+  historyRevisions = [];
+  selectedRevisionId = '';
+
   // Object name direct-entry
   objectApiNameInput = '';
 
@@ -40,8 +232,19 @@ export default class Data360Configurator extends LightningElement {
   showContextObjectDropdown = false;
   _contextFieldValues = {};
   _mergeTokens = [];
+  resolvedPreviewQueryString = '';
+  _resolvedPreviewKey;
   _contextBlurTimeout;
 
+  // Per-field format override modal
+  formatFieldName = '';
+  @track formatDraft = {};
+
+  // Calculated column modal; calculatedFieldName is '' while adding one
+  showCalculatedModal = false;
+  calculatedFieldName = '';
+  @track calculatedDraft = {};
+
   // Field visibility filter
   fieldVisibilityFilter = 'all';
   _dragFieldName;
@@ -61,13 +264,223 @@ export default class Data360Configurator extends LightningElement {
   }
 
   get fieldsWithPosition() {
+    let visibleRows = this.fields;
     if (this.fieldVisibilityFilter === 'selected') {
-      return this.fields.filter(f => f.visible);
+      visibleRows = this.fields.filter(f => f.visible);
+    } else if (this.fieldVisibilityFilter === 'unselected') {
+      visibleRows = this.fields.filter(f => !f.visible);
+    }
+    return visibleRows.map(f => {
+      const typeLabel = COLUMN_TYPE_LABELS[this._getColumnType(f)] || 'Text';
+      let sourceTypeLabel = typeLabel;
+      if (f.calculated) {
+        sourceTypeLabel = `Calculated ${typeLabel}`;
+      } else if (f.joined) {
+        sourceTypeLabel = `${typeLabel} from ${f.joinObject}`;
+      }
+      return {
+        ...f,
+        typeLabel: sourceTypeLabel,
+        formatButtonVariant: f.format ? 'brand' : 'border',
+        // Filter controls only cover the object's own fields
+        isFilterableDisabled: f.calculated || f.related || f.joined,
+        canExpand: canExpandLookup(f)
+      };
+    });
+  }
+
+  get calculatedModalTitle() {
+    return this.calculatedFieldName ? 'Edit Calculated Column' : 'Add Calculated Column';
+  }
+
+  get resultTypeOptions() {
+    return RESULT_TYPES.map(({ label, value }) => ({ label, value }));
+  }
+
+  get calculatedInsertFieldOptions() {
+    return this._objectFields.map(f => ({ label: `${f.label} (${f.fieldName})`, value: f.fieldName }));
+  }
+
+  get expressionPlaceholder() {
+    return "FirstName & ' ' & LastName";
+  }
+
+  get expressionHelp() {
+    return (
+      'Use field API names, numbers, quoted text, + - * /, & to join text, comparisons and AND, OR, NOT. ' +
+      'Date fields subtract to a number of days. Functions: IF, ISBLANK, BLANKVALUE, TODAY, NOW, DATEVALUE, ' +
+      'YEAR, MONTH, DAY, ROUND, ABS, FLOOR, CEILING, MIN, MAX, LEN, UPPER, LOWER, TRIM, LEFT, RIGHT, ' +
+      'CONTAINS, TEXT and VALUE.'
+    );
+  }
+
+  get calculatedExpressionError() {
+    if (!this.calculatedDraft.expression) {
+      return '';
+    }
+    try {
+      const objectFieldNames = new Set(this._objectFields.map(f => f.fieldName));
+      const unknown = getExpressionFields(parseExpression(this.calculatedDraft.expression)).filter(
+        name => !objectFieldNames.has(name)
+      );
+      return unknown.length > 0 ? `Unknown field: ${unknown.join(', ')}` : '';
+    } catch (e) {
+      return e.message;
     }
-    if (this.fieldVisibilityFilter === 'unselected') {
-      return this.fields.filter(f => !f.visible);
+  }
+
+  get isCalculatedSaveDisabled() {
+    return !this.calculatedDraft.label || !this.calculatedDraft.expression || !!this.calculatedExpressionError;
+  }
+
+  // The object's own fields, without calculated columns, parent fields or joined objects' fields
+  get _objectFields() {
+    return this.fields.filter(f => !f.calculated && !f.related && !f.joined);
+  }
+
+  // Fields the query can select: the object's own fields and parent fields such as Account.Name
+  get _queryFields() {
+    return this.fields.filter(f => !f.calculated && !f.joined);
+  }
+
+  get showFormatModal() {
+    return !!this.formatFieldName;
+  }
+
+  get formatModalTitle() {
+    return `Format: ${this.formatFieldName}`;
+  }
+
+  get formatTypeOptions() {
+    const field = this.fields.find(f => f.fieldName === this.formatFieldName);
+    const autoType = COLUMN_TYPE_LABELS[DATA_TYPE_COLUMN_TYPES[field && field.dataType] || 'text'];
+    return [
+      { label: `Automatic (${autoType})`, value: '' },
+      ...Object.entries(COLUMN_TYPE_LABELS).map(([value, label]) => ({ label, value }))
+    ];
+  }
+
+  get dateFormatOptions() {
+    return [
+      { label: 'Default', value: '' },
+      { label: 'Short (1/31/2025)', value: 'short' },
+      { label: 'Medium (Jan 31, 2025)', value: 'medium' },
+      { label: 'Long (Friday, January 31, 2025)', value: 'long' }
+    ];
+  }
+
+  get formatLabelFieldOptions() {
+    return [
+      { label: '-- Show the URL --', value: '' },
+      ...this._queryFields
+        .filter(f => f.fieldName !== this.formatFieldName)
+        .map(f => ({ label: `${f.label} (${f.fieldName})`, value: f.fieldName }))
+    ];
+  }
+
+  get formatEffectiveType() {
+    const field = this.fields.find(f => f.fieldName === this.formatFieldName);
+    return this._getColumnType({ ...field, format: this.formatDraft });
+  }
+
+  get showFormatDecimalPlaces() {
+    return ['number', 'currency', 'percent-fixed'].includes(this.formatEffectiveType);
+  }
+
+  get showFormatCurrencyCode() {
+    return this.formatEffectiveType === 'currency';
+  }
+
+  get showFormatDateFormat() {
+    return this.formatEffectiveType === 'date' || this.formatEffectiveType === 'date-local';
+  }
+
+  get showFormatUrlLabelField() {
+    return this.formatEffectiveType === 'url';
+  }
+
+  get hasValidationFindings() {
+    return this.validationFindings.length > 0;
+  }
+
+  get validationFindingItems() {
+    return toFindingItems(this.validationFindings, 'finding');
+  }
+
+  get validationSummary() {
+    const errorCount = this.validationFindings.filter(f => f.severity === 'error').length;
+    return summarizeFindings(errorCount, this.validationFindings.length - errorCount);
+  }
+
+  get validationBoxClass() {
+    const hasErrors = this.validationFindings.some(f => f.severity === 'error');
+    return `slds-box slds-m-bottom_small ${hasErrors ? 'validation-box_error' : 'validation-box_warning'}`;
+  }
+
+  get hasValidationReport() {
+    return this.validationReport.length > 0;
+  }
+
+  get validationReportItems() {
+    return this.validationReport.map(entry => ({
+      key: entry.configId,
+      configId: entry.configId,
+      configName: entry.configName,
+      objectApiName: entry.objectApiName,
+      summary: summarizeFindings(entry.errorCount, entry.warningCount),
+      findings: toFindingItems(entry.findings, entry.configId)
+    }));
+  }
+
+  get exportBundleOptions() {
+    return [...this._configsMap.values()].map(c => ({ label: c.Name, value: c.Id }));
+  }
+
+  get isExportBundleDisabled() {
+    return this.exportBundleConfigIds.length === 0;
+  }
+
+  get conflictModeOptions() {
+    return [
+      { label: 'Skip', value: 'skip' },
+      { label: 'Overwrite', value: 'overwrite' },
+      { label: 'Save with a new name', value: 'rename' }
+    ];
+  }
+
+  get isImportPreviewDisabled() {
+    return !this.importBundleJson;
+  }
+
+  get hasImportPreview() {
+    return this.importPreview !== null;
+  }
+
+  get importPreviewItems() {
+    return this.importPreview.results.map((result, idx) => ({
+      key: `import-${idx}`,
+      name: result.name || '(no name)',
+      actionLabel: IMPORT_ACTION_LABELS[result.action],
+      targetName: result.action === 'rename' ? result.targetName : '',
+      objectApiName: result.objectApiName,
+      findings: toFindingItems(result.findings, `import-${idx}`)
+    }));
+  }
+
+  get importPreviewSummary() {
+    const counts = this.importPreview.counts;
+    return Object.keys(IMPORT_ACTION_LABELS)
+      .filter(action => counts[action] > 0)
+      .map(action => `${IMPORT_ACTION_LABELS[action]}: ${counts[action]}`)
+      .join(' · ');
+  }
+
+  get isImportApplyDisabled() {
+    if (!this.importPreview) {
+      return true;
     }
-    return this.fields;
+    const counts = this.importPreview.counts;
+    return counts.create + counts.overwrite + counts.rename === 0;
   }
 
   get isSaveDisabled() {
@@ -82,26 +495,355 @@ export default class Data360Configurator extends LightningElement {
     return !this.selectedConfigId;
   }
 
+  get _selectedConfig() {
+    return this._configsMap.get(this.selectedConfigId);
+  }
+
+  get hasDraft() {
+    return Boolean(this._selectedConfig && this._selectedConfig.Draft_JSON__c);
+  }
+
+  get isPublishDisabled() {
+    return !this.hasDraft;
+  }
+
+  get canDiscardDraft() {
+    return this.hasDraft && Boolean(this._selectedConfig.Config_JSON__c);
+  }
+
+  /**
+   * Where the loaded config stands: never published, published with
+   * unpublished changes, or published as saved.
+   */
+  get publishStatus() {
+    const config = this._selectedConfig;
+    if (!config) {
+      return null;
+    }
+    if (!config.Config_JSON__c) {
+      return { label: 'Draft, never published', badgeClass: 'slds-badge slds-theme_warning' };
+    }
+    return config.Draft_JSON__c
+      ? { label: 'Unpublished changes', badgeClass: 'slds-badge slds-theme_warning' }
+      : { label: 'Published', badgeClass: 'slds-badge slds-theme_success' };
+  }
+
+  get publishedInfo() {
+    const config = this._selectedConfig;
+    if (!config || !config.Published_Date__c) {
+      return '';
+    }
+    const publishedBy = config.Published_By__r ? ` by ${config.Published_By__r.Name}` : '';
+    return `Last published ${new Date(config.Published_Date__c).toLocaleString()}${publishedBy}`;
+  }
+
+  get isHistoryDisabled() {
+    return !this.selectedConfigId;
+  }
+
+  get hasHistory() {
+    return this.historyRevisions.length > 0;
+  }
+
+  get historyItems() {
+    return this.historyRevisions.map(revision => ({
+      key: revision.Id,
+      revisionId: revision.Id,
+      title: `Revision ${revision.Revision_Number__c}`,
+      createdDate: revision.CreatedDate,
+      authorName: revision.CreatedBy ? revision.CreatedBy.Name : '',
+      changeNote: revision.Change_Note__c,
+      itemClass:
+        revision.Id === this.selectedRevisionId
+          ? 'history-item history-item_selected slds-p-around_x-small'
+          : 'history-item slds-p-around_x-small'
+    }));
+  }
+
+  get _selectedRevisionIndex() {
+    return this.historyRevisions.findIndex(r => r.Id === this.selectedRevisionId);
+  }
+
+  get selectedRevisionTitle() {
+    const revision = this.historyRevisions[this._selectedRevisionIndex];
+    return revision ? `Changes in revision ${revision.Revision_Number__c}` : '';
+  }
+
+  get isFirstRevision() {
+    return this._selectedRevisionIndex === this.historyRevisions.length - 1;
+  }
+
+  /**
+   * What the selected revision changed compared to the revision before it.
+   */
+  get selectedRevisionChanges() {
+    const idx = this._selectedRevisionIndex;
+    const revision = this.historyRevisions[idx];
+    const previous = this.historyRevisions[idx + 1];
+    if (!revision || !previous) {
+      return [];
+    }
+    const changes = [];
+    const addChange = (label, before, after) => {
+      if ((before || '') !== (after || '')) {
+        changes.push({ key: label, section: 'Config', label, before: before || '(none)', after: after || '(none)' });
+      }
+    };
+    addChange('Name', previous.Config_Name__c, revision.Config_Name__c);
+    addChange('Description', previous.Description__c, revision.Description__c);
+    try {
+      changes.push(...diffConfigs(JSON.parse(previous.Config_JSON__c), JSON.parse(revision.Config_JSON__c)));
+    } catch (e) {
+      changes.push({ key: 'error', section: 'Config', label: 'Config JSON', before: '', after: e.message });
+    }
+    return changes;
+  }
+
+  get hasSelectedRevisionChanges() {
+    return this.selectedRevisionChanges.length > 0;
+  }
+
+  get isRestoreDisabled() {
+    // The newest revision is what is saved now
+    return this._selectedRevisionIndex <= 0;
+  }
+
   get isLoadFieldsDisabled() {
     return !this.objectApiNameInput;
   }
 
+  get hasJoins() {
+    return this.joins.length > 0;
+  }
+
+  get isAddJoinDisabled() {
+    return !this.joinObjectInput.trim();
+  }
+
+  get joinItems() {
+    const primaryOptions = this._objectFields.map(f => ({ label: `${f.label} (${f.fieldName})`, value: f.fieldName }));
+    return this.joins.map(join => ({
+      ...join,
+      primaryFieldOptions: primaryOptions,
+      joinFieldOptions: this.fields
+        .filter(f => f.joinObject === join.objectApiName)
+        .map(f => {
+          const fieldName = f.fieldName.substring(join.objectApiName.length + 1);
+          return { label: `${f.label} (${fieldName})`, value: fieldName };
+        })
+    }));
+  }
+
+  get queryEngineOptions() {
+    return [
+      { label: 'SOQL', value: 'soql' },
+      { label: 'Data Cloud SQL', value: 'sql' }
+    ];
+  }
+
+  get isSqlEngine() {
+    return this.queryEngine === 'sql';
+  }
+
+  get isLoadSqlColumnsDisabled() {
+    return !this.sqlQuery.trim();
+  }
+
+  get hasRowActions() {
+    return this.rowActions.length > 0;
+  }
+
+  get rowActionTypeOptions() {
+    return ROW_ACTION_TYPES;
+  }
+
+  get rowActionFieldOptions() {
+    return this._objectFields.map(f => ({ label: `${f.label} (${f.fieldName})`, value: f.fieldName }));
+  }
+
+  get urlTemplatePlaceholder() {
+    return 'https://example.com/orders/{Order_Number__c}';
+  }
+
+  get urlTemplateHelp() {
+    return "Start with https://, http:// or / for a page in this org. {FieldApiName} inserts the row's value.";
+  }
+
+  get rowActionItems() {
+    return this.rowActions.map(action => toActionItem(action));
+  }
+
+  get hasBulkActions() {
+    return this.bulkActions.length > 0;
+  }
+
+  get bulkActionTypeOptions() {
+    return BULK_ACTION_TYPES;
+  }
+
+  get bulkActionItems() {
+    return this.bulkActions.map(action => toActionItem(action));
+  }
+
+  get hasFormatRules() {
+    return this.formatRules.length > 0;
+  }
+
+  get formatRuleFieldOptions() {
+    const options = this.fields.map(f => ({ label: `${f.label} (${f.fieldName})`, value: f.fieldName }));
+    const aggregateOptions = this.aggregates.map(a => ({ label: `${a.label || describeAggregate(a)} (${a.alias})`, value: a.alias }));
+    return [...options, ...aggregateOptions];
+  }
+
+  get formatRuleOperatorOptions() {
+    return RULE_OPERATORS;
+  }
+
+  get formatRuleScopeOptions() {
+    return [
+      { label: 'This Cell', value: 'cell' },
+      { label: 'Whole Row', value: 'row' }
+    ];
+  }
+
+  get formatRuleStyleOptions() {
+    return [{ label: 'None', value: '' }, ...RULE_STYLES.map(style => ({ label: style.label, value: style.value }))];
+  }
+
+  get iconPositionOptions() {
+    return [
+      { label: 'Left', value: 'left' },
+      { label: 'Right', value: 'right' }
+    ];
+  }
+
+  get formatRuleItems() {
+    return this.formatRules.map(rule => ({
+      ...rule,
+      needsValue: !NO_VALUE_OPERATORS.includes(rule.operator),
+      isBetween: rule.operator === 'between',
+      hasIcon: !!rule.iconName
+    }));
+  }
+
+  get isGrouped() {
+    return (
+      this.showGrouping && isGroupedConfig({ groupByFields: this.groupByFields, aggregates: this.aggregates })
+    );
+  }
+
+  // Joined records match one row each, so tables with joins are not grouped
+  get showGrouping() {
+    return !this.isSqlEngine && !this.hasJoins;
+  }
+
+  get hasAggregates() {
+    return this.aggregates.length > 0;
+  }
+
+  get groupByFieldOptions() {
+    return this._objectFields.map(f => ({ label: `${f.label} (${f.fieldName})`, value: f.fieldName }));
+  }
+
+  get aggregateOperationOptions() {
+    return AGGREGATE_OPERATIONS;
+  }
+
+  get aggregateItems() {
+    return this.aggregates.map(aggregate => ({
+      ...aggregate,
+      labelPlaceholder: describeAggregate(aggregate),
+      aliasHelp: `Column name ${aggregate.alias}, used by the default sort and format rules`
+    }));
+  }
+
+  // Aggregates still missing a field are left out of the preview query
+  get _previewAggregates() {
+    return this.aggregates.filter(aggregate => aggregate.fieldName);
+  }
+
+  get paginationModeOptions() {
+    return [
+      { label: 'Fixed Row Limit', value: 'limit' },
+      { label: 'Infinite Scroll', value: 'infinite' },
+      { label: 'Numbered Pages', value: 'pages' }
+    ];
+  }
+
+  // Grouped and Data Cloud SQL tables always run a single query up to the row limit
+  get isFixedLimitMode() {
+    return this.paginationMode === 'limit' || this.isGrouped || this.isSqlEngine;
+  }
+
+  get previewPaginationMode() {
+    return this.isGrouped || this.isSqlEngine ? 'limit' : this.paginationMode;
+  }
+
   get fieldCount() {
-    return this.fields.length;
+    return this._objectFields.length;
   }
 
   get previewQueryString() {
+    if (this.isSqlEngine) {
+      const statement = this.sqlQuery
+        .trim()
+        .replace(/;$/, '')
+        .replace(/\s+LIMIT\s+\d+(\s+OFFSET\s+\d+)?\s*$/i, '');
+      return statement && this.fields.some(f => f.visible) ? `${statement} LIMIT ${this.rowLimit || 100}` : '';
+    }
+    if (this.isGrouped) {
+      return this._groupedPreviewQuery();
+    }
     const visibleFields = this.fields.filter(f => f.visible);
     if (!this.selectedObject || visibleFields.length === 0) {
       return '';
     }
-    const fieldNames = visibleFields.map(f => f.fieldName).join(', ');
+    const fieldNames = visibleFields.filter(f => !f.calculated && !f.joined).map(f => f.fieldName);
+    // URL label fields are queried so the preview can use them as link text,
+    // calculated columns' fields so the preview can calculate them,
+    // format rules' fields so it can match the rules and join keys so the
+    // server can add the joined columns
+    const calculatedNames = visibleFields.filter(f => f.calculated).map(f => f.fieldName);
+    const ruleFields = this.formatRules
+      .map(rule => rule.fieldName)
+      .filter(f => f && !calculatedNames.includes(f) && !isJoinedField(this.joins, f));
+    for (const f of visibleFields) {
+      const labelField = f.format && f.format.urlLabelField;
+      for (const helperField of [labelField, ...this._calculatedInputFields(f)]) {
+        if (helperField && !fieldNames.includes(helperField)) {
+          fieldNames.push(helperField);
+        }
+      }
+    }
+    for (const helperField of [...ruleFields, ...getJoinKeyFields(this._previewJoinState)]) {
+      if (!fieldNames.includes(helperField)) {
+        fieldNames.push(helperField);
+      }
+    }
+    if (fieldNames.length === 0) {
+      return '';
+    }
     const where = this.whereClause || '';
+    let base = `SELECT ${fieldNames.join(', ')} FROM ${this.selectedObject} ${where}`;
+    if (this.defaultSortField) {
+      base = `${base.trim()} ORDER BY ${this.defaultSortField} ${this.defaultSortDirection === 'desc' ? 'DESC' : 'ASC'}`;
+    }
+    // Paged modes let the table apply its own LIMIT/OFFSET window
+    if (!this.isFixedLimitMode) {
+      return base.trim();
+    }
     const limit = this.rowLimit || 100;
-    return `SELECT ${fieldNames} FROM ${this.selectedObject} ${where} LIMIT ${limit}`;
+    return `${base} LIMIT ${limit}`;
   }
 
   get previewColumnLabels() {
+    if (this.isGrouped) {
+      const labels = new Map(this.fields.map(f => [f.fieldName, f.label]));
+      return [
+        ...this.groupByFields.map(fieldName => `${fieldName}=>${labels.get(fieldName) || fieldName}`),
+        ...this._previewAggregates.map(a => `${a.alias}=>${a.label || describeAggregate(a)}`)
+      ].join(',');
+    }
     const visibleFields = this.fields.filter(f => f.visible);
     if (visibleFields.length === 0) {
       return '';
@@ -109,7 +851,58 @@ export default class Data360Configurator extends LightningElement {
     return visibleFields.map(f => `${f.fieldName}=>${f.label}`).join(',');
   }
 
+  get previewFilterableFields() {
+    return this.fields
+      .filter(f => f.visible && f.filterable)
+      .map(f => f.fieldName)
+      .join(',');
+  }
+
+  get previewColumnFormats() {
+    const formats = {};
+    for (const f of this.fields) {
+      if (f.visible && f.format) {
+        formats[f.fieldName] = f.format;
+      }
+    }
+    return JSON.stringify(formats);
+  }
+
+  get previewCalculatedColumns() {
+    return JSON.stringify(
+      this.fields
+        .filter(f => f.visible && f.calculated && !this.isGrouped)
+        .map(f => ({ fieldName: f.fieldName, label: f.label, expression: f.expression, resultType: f.resultType }))
+    );
+  }
+
+  get previewFormatRules() {
+    return JSON.stringify(this.formatRules);
+  }
+
+  get previewJoins() {
+    return JSON.stringify(this._previewJoinState);
+  }
+
+  // Joins with both keys picked, with the visible columns and rule fields the preview reads from them
+  get _previewJoinState() {
+    if (this.isSqlEngine) {
+      return [];
+    }
+    const fieldNames = [
+      ...this.fields.filter(f => f.visible && f.joined).map(f => f.fieldName),
+      ...this.formatRules.map(rule => rule.fieldName)
+    ];
+    return buildJoinState(
+      this.joins.filter(join => join.primaryField && join.joinField),
+      [...new Set(fieldNames)]
+    );
+  }
+
   get previewSortableFields() {
+    if (this.isGrouped) {
+      return [...this.groupByFields, ...this._previewAggregates.map(a => a.alias)].map(f => `${f}=>true`).join(',');
+    }
     const visibleFields = this.fields.filter(f => f.visible);
     if (visibleFields.length === 0) {
       return '';
@@ -117,35 +910,31 @@ export default class Data360Configurator extends LightningElement {
     return visibleFields.map(f => `${f.fieldName}=>${f.sortable}`).join(',');
   }
 
-  get resolvedPreviewQueryString() {
-    const raw = this.previewQueryString;
-    if (!raw) {
-      return '';
-    }
-    if (this._mergeTokens.length === 0) {
-      return raw;
-    }
-    // Tokens exist but no context record selected yet
-    if (!this.contextRecordId) {
-      return '';
-    }
-    // Tokens exist, record selected, but values not yet fetched
-    if (Object.keys(this._contextFieldValues).length === 0) {
-      return '';
-    }
-    let resolved = raw;
-    for (const fieldName of this._mergeTokens) {
-      const value = this._contextFieldValues[fieldName];
-      const token = `$record.${fieldName}`;
-      if (value === null || value === undefined) {
-        resolved = resolved.split(token).join('NULL');
-      } else if (typeof value === 'number' || typeof value === 'boolean') {
-        resolved = resolved.split(token).join(String(value));
-      } else {
-        resolved = resolved.split(token).join(`'${String(value)}'`);
-      }
-    }
-    return resolved;
+  get isBuilderMode() {
+    return this.whereMode === 'builder';
+  }
+
+  get whereModeOptions() {
+    return [
+      { label: 'Builder', value: 'builder' },
+      { label: 'SOQL', value: 'raw' }
+    ];
+  }
+
+  get conditionFields() {
+    return this._objectFields.map(f => ({ fieldName: f.fieldName, label: f.label, dataType: f.dataType }));
+  }
+
+  get previewMergeContext() {
+    return {
+      recordId: this.contextRecordId,
+      contextObjectApiName: this.contextObjectApiName,
+      values: this._contextFieldValues
+    };
+  }
+
+  get _needsContextRecord() {
+    return !this.isSqlEngine && this._mergeTokens.length > 0 || /\$recordId\b/.test(this.previewQueryString);
   }
 
   get mergeTokenCount() {
@@ -165,8 +954,14 @@ export default class Data360Configurator extends LightningElement {
     return `Fetching ${this._mergeTokens.length} field value(s)...`;
   }
 
+  get emptyPreviewText() {
+    return this.isSqlEngine
+      ? 'Enter a SQL query and load its columns to see a preview'
+      : 'Select an object and fields to see a preview';
+  }
+
   get hasPendingMergeTokens() {
-    return this._mergeTokens.length > 0 && !this.contextRecordId;
+    return this._needsContextRecord && !this.contextRecordId;
   }
 
   get contextObjectNoResults() {
@@ -175,7 +970,20 @@ export default class Data360Configurator extends LightningElement {
 
   get sortableFieldOptions() {
     const options = [{ label: '-- None --', value: '' }];
-    for (const f of this.fields) {
+    // Grouped queries can only be ordered by a Group By field or an aggregate
+    if (this.isGrouped) {
+      for (const f of this._objectFields) {
+        if (this.groupByFields.includes(f.fieldName)) {
+          options.push({ label: `${f.label} (${f.fieldName})`, value: f.fieldName });
+        }
+      }
+      for (const a of this.aggregates) {
+        options.push({ label: `${a.label || describeAggregate(a)} (${a.alias})`, value: a.alias });
+      }
+      return options;
+    }
+    // Calculated columns sort in the browser, so they cannot be the query's ORDER BY
+    for (const f of this._queryFields) {
       if (f.visible && f.sortable) {
         options.push({ label: `${f.label} (${f.fieldName})`, value: f.fieldName });
       }
@@ -183,6 +991,27 @@ export default class Data360Configurator extends LightningElement {
     return options;
   }
 
+  // Data Cloud SQL tables always search the loaded rows
+  get showSearchMode() {
+    return this.showSearch && !this.isSqlEngine;
+  }
+
+  get searchModeOptions() {
+    return [
+      { label: 'Loaded Rows (Client)', value: 'client' },
+      { label: 'Full Object (Server)', value: 'server' }
+    ];
+  }
+
+  get previewSearchableFields() {
+    // Client search in a grouped table only sees the Group By values
+    const clientGrouped = this.isGrouped && this.searchMode !== 'server';
+    return this.fields
+      .filter(f => f.visible && f.searchable && (!clientGrouped || this.groupByFields.includes(f.fieldName)))
+      .map(f => f.fieldName)
+      .join(',');
+  }
+
   get sortDirectionOptions() {
     return [
       { label: 'Ascending', value: 'asc' },
@@ -190,10 +1019,19 @@ export default class Data360Configurator extends LightningElement {
     ];
   }
 
+  // Session storage and Platform Cache reuse the browser cache's minutes
+  get isServerCacheDisabled() {
+    return !(this.cacheMinutes > 0);
+  }
+
   get isDefaultSortDirectionDisabled() {
     return !this.defaultSortField;
   }
 
+  renderedCallback() {
+    this._syncResolvedPreviewQuery();
+  }
+
   async connectedCallback() {
     await this._loadConfigs();
   }
@@ -211,52 +1049,95 @@ export default class Data360Configurator extends LightningElement {
     this.selectedConfigId = configId;
     this.configName = config.Name;
     this.configDescription = config.Description__c || '';
+    this.changeNote = '';
     try {
-      const parsed = JSON.parse(config.Config_JSON__c);
-      this.selectedObject = parsed.objectApiName || '';
-      this.whereClause = parsed.whereClause || '';
-      this.rowLimit = parsed.limit || 100;
+      // The editor always works on the latest save, which is the draft when there is one
+      const configJson = config.Draft_JSON__c || config.Config_JSON__c;
+      const parsed = parseConfig(configJson);
+      this.queryEngine = parsed.queryEngine;
+      this.sqlQuery = parsed.sqlQuery;
+      this.selectedObject = parsed.objectApiName;
+      this.whereClause = parsed.whereClause;
+      this.whereMode = parsed.whereMode;
+      this.whereConditions = withNodeIds(parsed.whereConditions);
+      this.whereBuilderError = '';
+      this.rowLimit = parsed.limit;
+      this.paginationMode = parsed.paginationMode;
+      this.pageSize = parsed.pageSize;
+      this.joins = parsed.joins.map(({ objectApiName, label, primaryField, joinField }) => ({
+        objectApiName,
+        label,
+        primaryField,
+        joinField
+      }));
+      this.joinObjectInput = '';
       if (this.selectedObject) {
         this.objectApiNameInput = this.selectedObject;
         await this._loadFieldsForObject(this.selectedObject);
+        await this._loadSavedJoinFields();
       } else {
         this.objectApiNameInput = '';
+        // SQL columns are not described anywhere, so the saved fields stand in for them
+        if (this.isSqlEngine) {
+          this.fields = parsed.fields.filter(f => !f.calculated).map(f => this._toFieldModel(f));
+        }
       }
-      this.defaultSortField = parsed.defaultSortField || '';
-      this.defaultSortDirection = parsed.defaultSortDirection || 'asc';
-      this.showRecordCount = parsed.showRecordCount || false;
-      this.showSearch = parsed.showSearch || false;
-      this.showRefresh = parsed.showRefresh || false;
-      this.isUsedAsRelatedList = parsed.isUsedAsRelatedList || false;
+      this.defaultSortField = parsed.defaultSortField;
+      this.defaultSortDirection = parsed.defaultSortDirection;
+      this.showRecordCount = parsed.showRecordCount;
+      this.showSearch = parsed.showSearch;
+      this.searchMode = parsed.searchMode;
+      this.showFilters = parsed.showFilters;
+      this.showExport = parsed.showExport;
+      this.exportLimit = parsed.exportLimit;
+      this.cacheMinutes = parsed.cacheMinutes;
+      this.persistCache = parsed.persistCache;
+      this.serverCache = parsed.serverCache;
+      this.pollSeconds = parsed.pollSeconds;
+      this.eventChannel = parsed.eventChannel;
+      this.showRefresh = parsed.showRefresh;
+      this.isUsedAsRelatedList = parsed.isUsedAsRelatedList;
+      this.flowMergeValues = parsed.flowMergeValues;
+      this.rowActions = toEditorActions(parsed.rowActions);
+      this.enableSelection = parsed.enableSelection;
+      this.bulkActions = toEditorActions(parsed.bulkActions);
+      this.formatRules = parsed.formatRules;
+      this.groupByFields = parsed.groupByFields;
+      this.aggregates = parsed.aggregates;
+      this.showSummary = parsed.showSummary;
       // Restore view state
-      if (parsed.viewState) {
-        this.fieldVisibilityFilter = parsed.viewState.fieldVisibilityFilter || 'all';
-        this.contextObjectApiName = parsed.viewState.contextObjectApiName || '';
-        this.contextObjectLabel = parsed.viewState.contextObjectLabel || '';
-        this.contextObjectSearchTerm = parsed.viewState.contextObjectSearchTerm || '';
-        this.contextRecordId = parsed.viewState.contextRecordId || '';
-      } else {
-        this.fieldVisibilityFilter = 'all';
-        this.contextObjectApiName = '';
-        this.contextObjectLabel = '';
-        this.contextObjectSearchTerm = '';
-        this.contextRecordId = '';
-      }
+      this.fieldVisibilityFilter = parsed.viewState.fieldVisibilityFilter;
+      this.contextObjectApiName = parsed.viewState.contextObjectApiName;
+      this.contextObjectLabel = parsed.viewState.contextObjectLabel;
+      this.contextObjectSearchTerm = parsed.viewState.contextObjectSearchTerm;
+      this.contextRecordId = parsed.viewState.contextRecordId;
       this._contextFieldValues = {};
-      if (parsed.fields) {
+      if (parsed.fields.length > 0) {
+        try {
+          await this._expandSavedPaths(parsed.fields.filter(f => !f.calculated).map(f => f.fieldName));
+        } catch (error) {
+          this._showToast('Field Discovery Error', error.body ? error.body.message : error.message, 'error');
+        }
         // Build a map of loaded fields (from Apex) keyed by fieldName
         const loadedFieldMap = new Map(this.fields.map(f => [f.fieldName, f]));
         // Rebuild in config-saved order, then append any new fields not in the config
         const orderedFields = [];
         const seen = new Set();
         for (const cf of parsed.fields) {
+          if (cf.calculated) {
+            orderedFields.push(this._toCalculatedModel(cf));
+            continue;
+          }
           const loaded = loadedFieldMap.get(cf.fieldName);
           if (loaded) {
             orderedFields.push({
               ...loaded,
               visible: cf.visible,
               label: cf.label,
-              sortable: cf.sortable !== false
+              sortable: cf.sortable,
+              searchable: cf.searchable,
+              filterable: cf.filterable,
+              format: cf.format
             });
             seen.add(cf.fieldName);
           }
@@ -264,7 +1145,7 @@ export default class Data360Configurator extends LightningElement {
         // Append fields that exist on the object but weren't in the saved config
         for (const f of this.fields) {
           if (!seen.has(f.fieldName)) {
-            orderedFields.push({ ...f, visible: false, sortable: true });
+            orderedFields.push({ ...f, visible: false });
           }
         }
         this.fields = orderedFields;
@@ -274,8 +1155,11 @@ export default class Data360Configurator extends LightningElement {
       if (this.contextRecordId && this._mergeTokens.length > 0) {
         this._fetchContextFieldValues();
       }
+      // Check the saved JSON, since fields missing from the object were
+      // dropped from the field list above
+      await this._validateConfigJson(configJson);
     } catch (e) {
-      this._showToast('Error', 'Failed to parse config JSON: ' + e.message, 'error');
+      this._showToast('Config Error', `Cannot load config "${config.Name}": ${e.message}`, 'error');
     }
   }
 
@@ -289,18 +1173,45 @@ export default class Data360Configurator extends LightningElement {
     this.selectedConfigId = '';
     this.configName = '';
     this.configDescription = '';
+    this.changeNote = '';
+    this.queryEngine = 'soql';
+    this.sqlQuery = '';
     this.selectedObject = '';
     this.objectApiNameInput = '';
+    this.joins = [];
+    this.joinObjectInput = '';
     this.whereClause = '';
+    this.whereMode = 'builder';
+    this.whereConditions = createGroupNode();
+    this.whereBuilderError = '';
     this.rowLimit = 100;
+    this.paginationMode = 'limit';
+    this.pageSize = 50;
     this.fields = [];
     this.fieldVisibilityFilter = 'all';
     this.defaultSortField = '';
     this.defaultSortDirection = 'asc';
     this.showRecordCount = false;
     this.showSearch = false;
+    this.searchMode = 'client';
+    this.showFilters = false;
+    this.showExport = false;
+    this.exportLimit = 2000;
+    this.cacheMinutes = 0;
+    this.persistCache = false;
+    this.serverCache = false;
+    this.pollSeconds = 0;
+    this.eventChannel = '';
     this.showRefresh = false;
     this.isUsedAsRelatedList = false;
+    this.flowMergeValues = false;
+    this.rowActions = [];
+    this.enableSelection = false;
+    this.bulkActions = [];
+    this.formatRules = [];
+    this.groupByFields = [];
+    this.aggregates = [];
+    this.showSummary = false;
     // Clear context state
     this.contextObjectApiName = '';
     this.contextObjectLabel = '';
@@ -310,6 +1221,7 @@ export default class Data360Configurator extends LightningElement {
     this.showContextObjectDropdown = false;
     this._contextFieldValues = {};
     this._mergeTokens = [];
+    this.validationFindings = [];
   }
 
   handleNameChange(event) {
@@ -320,12 +1232,17 @@ export default class Data360Configurator extends LightningElement {
     this.configDescription = event.detail.value;
   }
 
+  handleChangeNoteChange(event) {
+    this.changeNote = event.detail.value;
+  }
+
   handleObjectNameChange(event) {
     this.objectApiNameInput = event.detail.value;
     // Clear validated object if user edits the name
     if (this.selectedObject && this.objectApiNameInput !== this.selectedObject) {
       this.selectedObject = '';
       this.fields = [];
+      this.joins = [];
     }
   }
 
@@ -341,6 +1258,7 @@ export default class Data360Configurator extends LightningElement {
     }
     const objectName = this.objectApiNameInput.trim();
     this.isLoading = true;
+    this.joins = [];
     try {
       const fieldData = await getDataCloudFields({ objectApiName: objectName });
       if (fieldData.length === 0) {
@@ -350,12 +1268,7 @@ export default class Data360Configurator extends LightningElement {
       } else {
         this.selectedObject = objectName;
         this.objectApiNameInput = objectName;
-        this.fields = fieldData.map(f => ({
-          fieldName: f.fieldName,
-          label: f.label,
-          visible: true,
-          sortable: true
-        }));
+        this.fields = fieldData.map(f => this._toFieldModel(f));
         this._showToast('Success', `Loaded ${fieldData.length} fields for ${objectName}`, 'success');
       }
     } catch (error) {
@@ -367,10 +1280,84 @@ export default class Data360Configurator extends LightningElement {
     }
   }
 
+  // The two engines read different fields, so switching starts the field list over
+  handleQueryEngineChange(event) {
+    this.queryEngine = event.detail.value;
+    this.selectedObject = '';
+    this.objectApiNameInput = '';
+    this.fields = [];
+    this.joins = [];
+    this.defaultSortField = '';
+    this.groupByFields = [];
+    this.aggregates = [];
+  }
+
+  handleSqlQueryChange(event) {
+    this.sqlQuery = event.detail.value;
+  }
+
+  async handleLoadSqlColumns() {
+    this.isLoading = true;
+    try {
+      const result = await executeSqlQuery({ sqlQuery: this.sqlQuery, rowLimit: 1 });
+      this._applySqlColumns(result.tableColumns);
+      this._showToast('Success', `Loaded ${result.tableColumns.length} columns`, 'success');
+    } catch (error) {
+      this._showToast('Invalid SQL', error.body ? error.body.message : error.message, 'error');
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
   handleObjectClear() {
     this.selectedObject = '';
     this.objectApiNameInput = '';
     this.fields = [];
+    this.joins = [];
+  }
+
+  handleJoinObjectInputChange(event) {
+    this.joinObjectInput = event.detail.value;
+  }
+
+  async handleAddJoin() {
+    const objectName = this.joinObjectInput.trim();
+    // The queried object, joined objects and parent relationships all prefix field names
+    const prefixes = this.fields.filter(f => f.fieldName.includes('.')).map(f => f.fieldName.split('.')[0]);
+    const taken = [this.selectedObject, ...prefixes];
+    if (taken.some(name => name.toLowerCase() === objectName.toLowerCase())) {
+      this._showToast('Already Joined', `${objectName} is already part of the table.`, 'warning');
+      return;
+    }
+    this.isLoading = true;
+    try {
+      const join = { objectApiName: objectName, label: objectName, primaryField: '', joinField: '' };
+      const joinFields = await this._loadJoinFields(join);
+      if (joinFields.length === 0) {
+        this._showToast('No Fields Found', `No fields returned for "${objectName}". Verify the API name is correct.`, 'warning');
+        return;
+      }
+      this.joins = [...this.joins, join];
+      this.fields = [...this.fields, ...joinFields];
+      this.joinObjectInput = '';
+      this._showToast('Success', `Loaded ${joinFields.length} fields for ${objectName}`, 'success');
+    } catch (error) {
+      this._showToast('Invalid Object', error.body ? error.body.message : error.message, 'error');
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  handleJoinChange(event) {
+    const { objectName, key } = event.target.dataset;
+    const value = event.detail.value;
+    this.joins = this.joins.map(join => (join.objectApiName === objectName ? { ...join, [key]: value } : join));
+  }
+
+  handleRemoveJoin(event) {
+    const objectName = event.currentTarget.dataset.objectName;
+    this.joins = this.joins.filter(join => join.objectApiName !== objectName);
+    this.fields = this.fields.filter(f => f.joinObject !== objectName);
   }
 
   handleFieldVisibleChange(event) {
@@ -420,6 +1407,122 @@ export default class Data360Configurator extends LightningElement {
     }
   }
 
+  handleFieldSearchableChange(event) {
+    const fieldName = event.target.dataset.fieldName;
+    this.fields = this.fields.map(f => {
+      if (f.fieldName === fieldName) {
+        return { ...f, searchable: event.target.checked };
+      }
+      return f;
+    });
+  }
+
+  handleFieldFilterableChange(event) {
+    const fieldName = event.target.dataset.fieldName;
+    this.fields = this.fields.map(f => {
+      if (f.fieldName === fieldName) {
+        return { ...f, filterable: event.target.checked };
+      }
+      return f;
+    });
+  }
+
+  async handleExpandLookup(event) {
+    const fieldName = event.currentTarget.dataset.fieldName;
+    this.isLoading = true;
+    try {
+      await this._expandLookup(fieldName);
+    } catch (error) {
+      this._showToast('Field Discovery Error', error.body ? error.body.message : error.message, 'error');
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  handleFormatClick(event) {
+    const fieldName = event.currentTarget.dataset.fieldName;
+    const field = this.fields.find(f => f.fieldName === fieldName);
+    this.formatDraft = { type: '', currencyCode: '', decimalPlaces: '', dateFormat: '', urlLabelField: '', ...field.format };
+    this.formatFieldName = fieldName;
+  }
+
+  handleFormatDraftChange(event) {
+    const key = event.target.dataset.formatKey;
+    this.formatDraft = { ...this.formatDraft, [key]: event.detail.value };
+  }
+
+  handleFormatSave() {
+    // Only keep the overrides that were actually set
+    const format = {};
+    for (const [key, value] of Object.entries(this.formatDraft)) {
+      if (value !== '' && value !== null && value !== undefined) {
+        format[key] = value;
+      }
+    }
+    const fieldName = this.formatFieldName;
+    this.fields = this.fields.map(f => {
+      if (f.fieldName === fieldName) {
+        return { ...f, format: Object.keys(format).length > 0 ? format : null };
+      }
+      return f;
+    });
+    this.formatFieldName = '';
+  }
+
+  handleFormatCancel() {
+    this.formatFieldName = '';
+  }
+
+  handleAddCalculated() {
+    this.calculatedDraft = { label: '', expression: '', resultType: 'text' };
+    this.calculatedFieldName = '';
+    this.showCalculatedModal = true;
+  }
+
+  handleEditCalculated(event) {
+    const fieldName = event.currentTarget.dataset.fieldName;
+    const field = this.fields.find(f => f.fieldName === fieldName);
+    this.calculatedDraft = { label: field.label, expression: field.expression, resultType: field.resultType };
+    this.calculatedFieldName = fieldName;
+    this.showCalculatedModal = true;
+  }
+
+  handleCalculatedDraftChange(event) {
+    const key = event.target.dataset.calculatedKey;
+    this.calculatedDraft = { ...this.calculatedDraft, [key]: event.detail.value };
+  }
+
+  handleCalculatedInsertField(event) {
+    const expression = this.calculatedDraft.expression || '';
+    const separator = expression && !expression.endsWith(' ') ? ' ' : '';
+    this.calculatedDraft = { ...this.calculatedDraft, expression: `${expression}${separator}${event.detail.value}` };
+    // Reset the picker so the same field can be inserted again
+    event.target.value = null;
+  }
+
+  handleCalculatedSave() {
+    if (!this.calculatedFieldName) {
+      this.fields = [...this.fields, this._toCalculatedModel({ ...this.calculatedDraft, fieldName: this._newCalculatedName() })];
+    } else {
+      this.fields = this.fields.map(f => {
+        if (f.fieldName === this.calculatedFieldName) {
+          return this._toCalculatedModel({ ...f, ...this.calculatedDraft });
+        }
+        return f;
+      });
+    }
+    this.showCalculatedModal = false;
+  }
+
+  handleCalculatedCancel() {
+    this.showCalculatedModal = false;
+  }
+
+  handleRemoveCalculated(event) {
+    const fieldName = event.currentTarget.dataset.fieldName;
+    this.fields = this.fields.filter(f => f.fieldName !== fieldName);
+  }
+
   handleDefaultSortFieldChange(event) {
     this.defaultSortField = event.detail.value;
   }
@@ -436,14 +1539,125 @@ export default class Data360Configurator extends LightningElement {
     this.showSearch = event.target.checked;
   }
 
+  handleSearchModeChange(event) {
+    this.searchMode = event.detail.value;
+  }
+
+  handleShowFiltersChange(event) {
+    this.showFilters = event.target.checked;
+  }
+
   handleShowRefreshChange(event) {
     this.showRefresh = event.target.checked;
   }
 
+  handleShowExportChange(event) {
+    this.showExport = event.target.checked;
+  }
+
+  handleExportLimitChange(event) {
+    this.exportLimit = event.detail.value;
+  }
+
+  handleCacheMinutesChange(event) {
+    this.cacheMinutes = event.detail.value;
+  }
+
+  handlePersistCacheChange(event) {
+    this.persistCache = event.target.checked;
+  }
+
+  handleServerCacheChange(event) {
+    this.serverCache = event.target.checked;
+  }
+
+  handlePollSecondsChange(event) {
+    this.pollSeconds = event.detail.value;
+  }
+
+  handleEventChannelChange(event) {
+    this.eventChannel = (event.detail.value || '').trim();
+  }
+
+  handleShowSummaryChange(event) {
+    this.showSummary = event.target.checked;
+  }
+
   handleIsUsedAsRelatedListChange(event) {
     this.isUsedAsRelatedList = event.target.checked;
   }
 
+  handleFlowMergeValuesChange(event) {
+    this.flowMergeValues = event.target.checked;
+  }
+
+  handleEnableSelectionChange(event) {
+    this.enableSelection = event.target.checked;
+  }
+
+  handleAddRowAction() {
+    this.rowActions = [...this.rowActions, this._newAction(this.rowActions, 'action', 'navigate')];
+  }
+
+  handleAddBulkAction() {
+    this.bulkActions = [...this.bulkActions, this._newAction(this.bulkActions, 'bulk', 'flow')];
+  }
+
+  handleAddFormatRule() {
+    const lastNumber = Math.max(0, ...this.formatRules.map(r => parseInt(r.name.replace('rule-', ''), 10) || 0));
+    const rule = {
+      name: `rule-${lastNumber + 1}`,
+      fieldName: '',
+      operator: 'equals',
+      value: '',
+      valueTo: '',
+      scope: 'cell',
+      style: 'errorText',
+      iconName: '',
+      iconPosition: 'left'
+    };
+    this.formatRules = [...this.formatRules, rule];
+  }
+
+  handleGroupByFieldsChange(event) {
+    this.groupByFields = event.detail.value;
+  }
+
+  handleAddAggregate() {
+    const lastNumber = Math.max(0, ...this.aggregates.map(a => parseInt(a.alias.replace('agg_', ''), 10) || 0));
+    this.aggregates = [
+      ...this.aggregates,
+      { alias: `agg_${lastNumber + 1}`, operation: 'COUNT', fieldName: 'Id', label: '' }
+    ];
+  }
+
+  // Aggregates are keyed by their alias, which is also their column name
+  handleAggregateChange(event) {
+    const { alias, key } = event.target.dataset;
+    const value = event.detail.value;
+    this.aggregates = this.aggregates.map(a => (a.alias === alias ? { ...a, [key]: value } : a));
+  }
+
+  handleRemoveAggregate(event) {
+    const { alias } = event.currentTarget.dataset;
+    this.aggregates = this.aggregates.filter(a => a.alias !== alias);
+    if (this.defaultSortField === alias) {
+      this.defaultSortField = '';
+    }
+  }
+
+  // data-list names the edited list: rowActions, bulkActions or formatRules
+  handleActionChange(event) {
+    const { list, name, key } = event.target.dataset;
+    const value = event.detail.value;
+    this[list] = this[list].map(a => (a.name === name ? { ...a, [key]: value } : a));
+  }
+
+  handleRemoveAction(event) {
+    const { list, name } = event.currentTarget.dataset;
+    this[list] = this[list].filter(a => a.name !== name);
+  }
+
   handleDragStart(event) {
     this._dragFieldName = event.currentTarget.dataset.fieldName;
     event.currentTarget.classList.add('field-row-dragging');
@@ -504,59 +1718,96 @@ export default class Data360Configurator extends LightningElement {
 
   handleWhereChange(event) {
     this.whereClause = event.detail.value;
-    this._parseMergeTokens();
-    if (this.contextRecordId && this._mergeTokens.length > 0) {
-      this._fetchContextFieldValues();
+    this._onWhereClauseChanged();
+  }
+
+  async handleWhereModeChange(event) {
+    const modeGroup = event.target;
+    const mode = event.detail.value;
+    if (mode === 'raw') {
+      // The compiled clause becomes the starting point for hand edits
+      clearTimeout(this._compileTimeout);
+      this.whereMode = 'raw';
+      return;
+    }
+    try {
+      const parsed = await parseWhereClause({ whereClause: this.whereClause });
+      if (!parsed) {
+        this._showToast(
+          'Cannot Use Builder',
+          'This WHERE clause uses syntax the builder cannot show. Keep editing it as SOQL or clear it first.',
+          'warning'
+        );
+        // The tracked value never changed, so reset the button group directly
+        modeGroup.value = 'raw';
+        return;
+      }
+      this.whereConditions = withNodeIds(JSON.parse(parsed));
+      this.whereMode = 'builder';
+      await this._compileWhereConditions();
+    } catch (error) {
+      this._showToast('Condition Error', error.body ? error.body.message : error.message, 'error');
     }
   }
 
+  handleWhereConditionsChange(event) {
+    this.whereConditions = event.detail.group;
+    clearTimeout(this._compileTimeout);
+    // Wait for typing in value inputs to pause before compiling
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    this._compileTimeout = setTimeout(() => {
+      this._compileWhereConditions();
+    }, COMPILE_DEBOUNCE_MS);
+  }
+
   handleLimitChange(event) {
     this.rowLimit = event.detail.value;
   }
 
+  handlePaginationModeChange(event) {
+    this.paginationMode = event.detail.value;
+  }
+
+  handlePageSizeChange(event) {
+    this.pageSize = event.detail.value;
+  }
+
   async handleSave() {
     if (!this.configName) {
       this._showToast('Validation Error', 'Config Name is required', 'error');
       return;
     }
 
+    if (this.isBuilderMode && this.whereBuilderError) {
+      this._showToast('Validation Error', this.whereBuilderError, 'error');
+      return;
+    }
+
+    const configJson = this._buildConfigJson();
     this.isLoading = true;
     try {
-      const configJson = JSON.stringify({
-        objectApiName: this.selectedObject,
-        fields: this.fields,
-        whereClause: this.whereClause,
-        limit: this.rowLimit,
-        defaultSortField: this.defaultSortField,
-        defaultSortDirection: this.defaultSortDirection,
-        showRecordCount: this.showRecordCount,
-        showSearch: this.showSearch,
-        showRefresh: this.showRefresh,
-        isUsedAsRelatedList: this.isUsedAsRelatedList,
-        viewState: {
-          fieldVisibilityFilter: this.fieldVisibilityFilter,
-          contextObjectApiName: this.contextObjectApiName,
-          contextObjectLabel: this.contextObjectLabel,
-          contextObjectSearchTerm: this.contextObjectSearchTerm,
-          contextRecordId: this.contextRecordId
-        }
-      });
+      const findings = await this._validateConfigJson(configJson);
+      if (findings.some(f => f.severity === 'error')) {
+        this._showToast('Validation Error', 'Fix the errors listed above the config before saving.', 'error');
+        return;
+      }
 
       const record = {
         Name: this.configName,
         Description__c: this.configDescription,
         Object_API_Name__c: this.selectedObject,
-        Config_JSON__c: configJson
+        Draft_JSON__c: configJson
       };
 
       if (this.selectedConfigId) {
         record.Id = this.selectedConfigId;
       }
 
-      const result = await saveConfig({ config: record });
+      const result = await saveConfig({ config: record, changeNote: this.changeNote });
       this.selectedConfigId = result.Id;
+      this.changeNote = '';
       await this._loadConfigs();
-      this._showToast('Success', `Config "${this.configName}" saved`, 'success');
+      this._showToast('Success', `Config "${this.configName}" saved as a draft. Publish it to update pages.`, 'success');
     } catch (error) {
       this._showToast('Save Error', error.body ? error.body.message : error.message, 'error');
     } finally {
@@ -587,6 +1838,211 @@ export default class Data360Configurator extends LightningElement {
     }
   }
 
+  // ── Validation Report ──────────────────────────────────────
+
+  async handleValidateAll() {
+    this.isLoading = true;
+    try {
+      this.validationReport = await validateAllConfigs();
+      this.showValidationReport = true;
+    } catch (error) {
+      this._showToast('Validation Error', error.body ? error.body.message : error.message, 'error');
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  handleValidationReportClose() {
+    this.showValidationReport = false;
+  }
+
+  async handleValidationReportOpen(event) {
+    const configId = event.currentTarget.dataset.configId;
+    this.showValidationReport = false;
+    await this.handleConfigSelect({ detail: { value: configId } });
+  }
+
+  // ── Draft and Publish ──────────────────────────────────────
+
+  async handlePublish() {
+    this.isLoading = true;
+    try {
+      await publishConfig({ configId: this.selectedConfigId });
+      await this._loadConfigs();
+      this._showToast('Published', `Config "${this.configName}" is live on every page that uses it`, 'success');
+    } catch (error) {
+      this._showToast('Publish Error', error.body ? error.body.message : error.message, 'error');
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  async handleDiscardDraft() {
+    this.isLoading = true;
+    try {
+      await discardConfigDraft({ configId: this.selectedConfigId });
+      await this._loadConfigs();
+      await this.handleConfigSelect({ detail: { value: this.selectedConfigId } });
+      this._showToast('Draft Discarded', `Config "${this.configName}" is back to its published version`, 'success');
+    } catch (error) {
+      this._showToast('Discard Error', error.body ? error.body.message : error.message, 'error');
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  // ── Config History ─────────────────────────────────────────
+
+  async handleHistoryOpen() {
+    this.isLoading = true;
+    try {
+      this.historyRevisions = await getConfigHistory({ configId: this.selectedConfigId });
+      this.selectedRevisionId = this.hasHistory ? this.historyRevisions[0].Id : '';
+      this.showHistoryModal = true;
+    } catch (error) {
+      this._showToast('History Error', error.body ? error.body.message : error.message, 'error');
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  handleHistorySelect(event) {
+    this.selectedRevisionId = event.currentTarget.dataset.revisionId;
+  }
+
+  handleHistoryClose() {
+    this.showHistoryModal = false;
+  }
+
+  async handleRevisionRestore() {
+    const revision = this.historyRevisions[this._selectedRevisionIndex];
+    this.isLoading = true;
+    try {
+      const restored = await restoreConfigRevision({ revisionId: revision.Id });
+      this.showHistoryModal = false;
+      await this._loadConfigs();
+      await this.handleConfigSelect({ detail: { value: restored.Id } });
+      this._showToast(
+        'Restored',
+        `Config "${restored.Name}" restored to revision ${revision.Revision_Number__c} as a draft. Publish it to update pages.`,
+        'success'
+      );
+    } catch (error) {
+      this._showToast('Restore Error', error.body ? error.body.message : error.message, 'error');
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  // ── Config Bundles ─────────────────────────────────────────
+
+  handleExportBundleOpen() {
+    this.exportBundleConfigIds = this.selectedConfigId ? [this.selectedConfigId] : [];
+    this.showExportBundleModal = true;
+  }
+
+  handleExportBundleSelectionChange(event) {
+    this.exportBundleConfigIds = event.detail.value;
+  }
+
+  handleExportBundleSelectAll() {
+    this.exportBundleConfigIds = this.exportBundleOptions.map(option => option.value);
+  }
+
+  handleExportBundleCancel() {
+    this.showExportBundleModal = false;
+  }
+
+  async handleExportBundleConfirm() {
+    this.isLoading = true;
+    try {
+      const bundleJson = await exportConfigBundle({ configIds: this.exportBundleConfigIds });
+      downloadFile(buildFileName('data360-table-configs', 'json'), bundleJson, 'application/json');
+      this.showExportBundleModal = false;
+    } catch (error) {
+      this._showToast('Export Error', error.body ? error.body.message : error.message, 'error');
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  handleImportBundleOpen() {
+    this.importBundleJson = '';
+    this.importFileName = '';
+    this.importConflictMode = 'skip';
+    this.importPreview = null;
+    this.showImportBundleModal = true;
+  }
+
+  async handleImportFileChange(event) {
+    const file = event.target.files && event.target.files[0];
+    this.importPreview = null;
+    if (!file) {
+      return;
+    }
+    try {
+      this.importBundleJson = await file.text();
+      this.importFileName = file.name;
+    } catch (error) {
+      this.importBundleJson = '';
+      this._showToast('Import Error', `Cannot read ${file.name}: ${error.message}`, 'error');
+    }
+  }
+
+  handleImportConflictModeChange(event) {
+    this.importConflictMode = event.detail.value;
+    // The preview depends on the conflict mode
+    this.importPreview = null;
+  }
+
+  handleImportBundleCancel() {
+    this.showImportBundleModal = false;
+  }
+
+  async handleImportBundlePreview() {
+    this.importPreview = await this._importBundle(true);
+  }
+
+  async handleImportBundleApply() {
+    const summary = await this._importBundle(false);
+    if (!summary) {
+      return;
+    }
+    const { counts } = summary;
+    const written = counts.create + counts.overwrite + counts.rename;
+    this.showImportBundleModal = false;
+    this._showToast(
+      'Import Complete',
+      `Imported ${written} config${written === 1 ? '' : 's'}. Skipped ${counts.skip}, not imported ${counts.error}.`,
+      counts.error > 0 ? 'warning' : 'success'
+    );
+    await this._loadConfigs();
+    const reloadCurrent = summary.results.some(r => r.action === 'overwrite' && r.configId === this.selectedConfigId);
+    if (reloadCurrent) {
+      await this.handleConfigSelect({ detail: { value: this.selectedConfigId } });
+    }
+  }
+
+  /**
+   * Runs importConfigBundle for the chosen file and conflict mode. Returns
+   * the summary, or null after showing the error.
+   */
+  async _importBundle(dryRun) {
+    this.isLoading = true;
+    try {
+      return await importConfigBundle({
+        bundleJson: this.importBundleJson,
+        conflictMode: this.importConflictMode,
+        dryRun
+      });
+    } catch (error) {
+      this._showToast('Import Error', error.body ? error.body.message : error.message, 'error');
+      return null;
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
   // ── Context Object Search Handlers ─────────────────────────
 
   async handleContextObjectSearch(event) {
@@ -659,12 +2115,12 @@ export default class Data360Configurator extends LightningElement {
   // ── Merge Token Resolution ────────────────────────────────
 
   _parseMergeTokens() {
-    const fullQuery = this.previewQueryString;
+    const fullQuery = this.isSqlEngine ? '' : this.previewQueryString;
     if (!fullQuery) {
       this._mergeTokens = [];
       return;
     }
-    const matches = fullQuery.match(/\$record\.(\w+)/g);
+    const matches = fullQuery.match(/\$record(\.\w+)+/g);
     if (!matches) {
       this._mergeTokens = [];
       return;
@@ -673,6 +2129,72 @@ export default class Data360Configurator extends LightningElement {
     this._mergeTokens = fieldNames;
   }
 
+  /**
+   * Compiles the builder conditions to a WHERE clause on the server. The
+   * preview keeps the last clause that compiled while an error is shown.
+   */
+  async _compileWhereConditions() {
+    if (!this.selectedObject) {
+      return;
+    }
+    try {
+      this.whereClause = await compileWhereConditions({
+        objectApiName: this.selectedObject,
+        conditionsJson: JSON.stringify(this.whereConditions)
+      });
+      this.whereBuilderError = '';
+      this._onWhereClauseChanged();
+    } catch (error) {
+      this.whereBuilderError = error.body ? error.body.message : error.message;
+    }
+  }
+
+  _onWhereClauseChanged() {
+    this._parseMergeTokens();
+    if (this.contextRecordId && this._mergeTokens.length > 0) {
+      this._fetchContextFieldValues();
+    }
+  }
+
+  /**
+   * Binds merge tokens in the preview query through the same server logic
+   * data360Table uses at runtime. Runs after each render and only calls the
+   * server when the query or the context record values have changed.
+   */
+  _syncResolvedPreviewQuery() {
+    const raw = this.previewQueryString;
+    const mergeContext = this.previewMergeContext;
+    const key = JSON.stringify({ raw, mergeContext });
+    if (key === this._resolvedPreviewKey) {
+      return;
+    }
+    this._resolvedPreviewKey = key;
+    // Data Cloud SQL takes no merge fields
+    const hasTokens = !this.isSqlEngine && /\$(recordId|CurrentUserId|record\.)/.test(raw || '');
+    if (!raw || !hasTokens) {
+      this.resolvedPreviewQueryString = raw || '';
+      return;
+    }
+    // Wait for a context record and, for $record tokens, its field values
+    const valuesPending = this._mergeTokens.length > 0 && Object.keys(this._contextFieldValues).length === 0;
+    if (this.hasPendingMergeTokens || valuesPending) {
+      this.resolvedPreviewQueryString = '';
+      return;
+    }
+    resolveMergeFields({ queryString: raw, mergeContext })
+      .then((resolved) => {
+        if (key === this._resolvedPreviewKey) {
+          this.resolvedPreviewQueryString = resolved;
+        }
+      })
+      .catch((error) => {
+        if (key === this._resolvedPreviewKey) {
+          this.resolvedPreviewQueryString = '';
+          this._showToast('Merge Field Error', error.body ? error.body.message : error.message, 'error');
+        }
+      });
+  }
+
   async _fetchContextFieldValues() {
     if (!this.contextObjectApiName || !this.contextRecordId || this._mergeTokens.length === 0) {
       return;
@@ -690,6 +2212,128 @@ export default class Data360Configurator extends LightningElement {
     }
   }
 
+  // Names stay unique so the table's menus and History can tell actions apart
+  _newAction(actions, namePrefix, type) {
+    const lastNumber = Math.max(0, ...actions.map(a => parseInt(a.name.replace(`${namePrefix}-`, ''), 10) || 0));
+    return {
+      name: `${namePrefix}-${lastNumber + 1}`,
+      label: '',
+      type,
+      idField: '',
+      urlTemplate: '',
+      flowApiName: '',
+      flowInputsText: '',
+      eventName: ''
+    };
+  }
+
+  // Fields a calculated column reads; none for real fields or unparsable expressions
+  _calculatedInputFields(field) {
+    if (!field.calculated) {
+      return [];
+    }
+    try {
+      return getExpressionFields(parseExpression(field.expression));
+    } catch {
+      return [];
+    }
+  }
+
+  _newCalculatedName() {
+    const lastNumber = Math.max(
+      0,
+      ...this.fields.filter(f => f.calculated).map(f => parseInt(f.fieldName.replace('calc_', ''), 10) || 0)
+    );
+    return `calc_${lastNumber + 1}`;
+  }
+
+  /**
+   * The preview query of a grouped config: the Group By fields and the
+   * aggregates, ordered by the default sort. A sort by aggregate uses its
+   * expression, since SOQL cannot ORDER BY an alias.
+   */
+  _groupedPreviewQuery() {
+    const aggregates = this._previewAggregates;
+    if (!this.selectedObject || (this.groupByFields.length === 0 && aggregates.length === 0)) {
+      return '';
+    }
+    let base = `SELECT ${buildGroupedSelect(this.groupByFields, aggregates)} FROM ${this.selectedObject} ${
+      this.whereClause || ''
+    }`.trim();
+    if (this.groupByFields.length > 0) {
+      base = `${base} GROUP BY ${this.groupByFields.join(', ')}`;
+    }
+    const sortAggregate = aggregates.find(a => a.alias === this.defaultSortField);
+    if (sortAggregate || this.groupByFields.includes(this.defaultSortField)) {
+      const sortField = sortAggregate ? toAggregateExpression(sortAggregate) : this.defaultSortField;
+      base = `${base} ORDER BY ${sortField} ${this.defaultSortDirection === 'desc' ? 'DESC' : 'ASC'}`;
+    }
+    return `${base} LIMIT ${this.rowLimit || 100}`;
+  }
+
+  _buildConfigJson() {
+    return serializeConfig({
+      queryEngine: this.queryEngine,
+      sqlQuery: this.isSqlEngine ? this.sqlQuery : '',
+      objectApiName: this.selectedObject,
+      joins: this.isSqlEngine ? [] : this.joins,
+      fields: this.fields,
+      whereClause: this.whereClause,
+      whereMode: this.whereMode,
+      whereConditions: this.isBuilderMode ? this.whereConditions : null,
+      limit: this.rowLimit,
+      paginationMode: this.paginationMode,
+      pageSize: this.pageSize,
+      defaultSortField: this.defaultSortField,
+      defaultSortDirection: this.defaultSortDirection,
+      showRecordCount: this.showRecordCount,
+      showSearch: this.showSearch,
+      searchMode: this.searchMode,
+      showFilters: this.showFilters,
+      showRefresh: this.showRefresh,
+      showExport: this.showExport,
+      exportLimit: this.exportLimit,
+      cacheMinutes: this.cacheMinutes,
+      persistCache: this.persistCache && this.cacheMinutes > 0,
+      serverCache: this.serverCache && this.cacheMinutes > 0,
+      pollSeconds: this.pollSeconds,
+      eventChannel: this.eventChannel,
+      isUsedAsRelatedList: this.isUsedAsRelatedList,
+      flowMergeValues: this.flowMergeValues && !this.isSqlEngine,
+      rowActions: toSavedActions(this.rowActions),
+      enableSelection: this.enableSelection,
+      bulkActions: toSavedActions(this.bulkActions),
+      formatRules: this.formatRules,
+      groupByFields: this.groupByFields,
+      aggregates: this.aggregates,
+      showSummary: this.showSummary,
+      viewState: {
+        fieldVisibilityFilter: this.fieldVisibilityFilter,
+        contextObjectApiName: this.contextObjectApiName,
+        contextObjectLabel: this.contextObjectLabel,
+        contextObjectSearchTerm: this.contextObjectSearchTerm,
+        contextRecordId: this.contextRecordId
+      }
+    });
+  }
+
+  /**
+   * Checks config JSON against the live schema on the server and shows the
+   * findings above the form. Returns the findings ([] if the check failed).
+   */
+  async _validateConfigJson(configJson) {
+    try {
+      this.validationFindings = await validateConfig({
+        configJson,
+        contextObjectApiName: this.contextObjectApiName
+      });
+    } catch (error) {
+      this.validationFindings = [];
+      this._showToast('Validation Error', error.body ? error.body.message : error.message, 'error');
+    }
+    return this.validationFindings;
+  }
+
   async _loadConfigs() {
     try {
       const configs = await getConfigs();
@@ -707,12 +2351,7 @@ export default class Data360Configurator extends LightningElement {
     this.isLoading = true;
     try {
       const fieldData = await getDataCloudFields({ objectApiName: objectApiName });
-      this.fields = fieldData.map(f => ({
-        fieldName: f.fieldName,
-        label: f.label,
-        visible: true,
-        sortable: true
-      }));
+      this.fields = fieldData.map(f => this._toFieldModel(f));
     } catch (error) {
       this.fields = [];
       this._showToast('Field Discovery Error', error.body ? error.body.message : error.message, 'error');
@@ -721,6 +2360,134 @@ export default class Data360Configurator extends LightningElement {
     }
   }
 
+  /**
+   * Adds the fields of the lookup's parent object after the lookup, named
+   * by their path from the selected object, e.g. Account.Name for
+   * AccountId. They start hidden.
+   */
+  async _expandLookup(lookupFieldName) {
+    const lookup = this.fields.find(f => f.fieldName === lookupFieldName);
+    if (!lookup || !canExpandLookup(lookup)) {
+      return;
+    }
+    const path = relationshipPath(lookup);
+    const parentLabel = lookup.label.replace(/ ID$/, '');
+    const fieldData = await getDataCloudFields({ objectApiName: lookup.referenceTo });
+    const taken = new Set(this.fields.map(f => f.fieldName));
+    const parentFields = fieldData
+      .map(f => ({
+        ...this._toFieldModel({ ...f, fieldName: `${path}.${f.fieldName}`, label: `${parentLabel} ${f.label}` }),
+        visible: false,
+        related: true
+      }))
+      .filter(f => !taken.has(f.fieldName));
+    const index = this.fields.findIndex(f => f.fieldName === lookupFieldName);
+    this.fields = [
+      ...this.fields.slice(0, index),
+      { ...this.fields[index], expanded: true },
+      ...parentFields,
+      ...this.fields.slice(index + 1)
+    ];
+  }
+
+  /**
+   * The fields of a joined object, named Object.Field and labeled with the
+   * join's label. They start hidden.
+   */
+  async _loadJoinFields(join) {
+    const fieldData = await getDataCloudFields({ objectApiName: join.objectApiName });
+    return fieldData.map(f => ({
+      ...this._toFieldModel({
+        ...f,
+        fieldName: `${join.objectApiName}.${f.fieldName}`,
+        label: `${f.label} (${join.label})`,
+        relationshipName: undefined
+      }),
+      visible: false,
+      joined: true,
+      joinObject: join.objectApiName
+    }));
+  }
+
+  // Adds the fields of the saved joins after the object's own fields
+  async _loadSavedJoinFields() {
+    try {
+      const joinFields = await Promise.all(this.joins.map(join => this._loadJoinFields(join)));
+      this.fields = [...this.fields, ...joinFields.flat()];
+    } catch (error) {
+      this._showToast('Field Discovery Error', error.body ? error.body.message : error.message, 'error');
+    }
+  }
+
+  /**
+   * Expands the lookups that saved parent fields such as Account.Owner.Name
+   * go through, one relationship level per round.
+   */
+  async _expandSavedPaths(fieldPaths) {
+    const lookups = this.fields.filter(
+      f => canExpandLookup(f) && fieldPaths.some(path => path.startsWith(`${relationshipPath(f)}.`))
+    );
+    if (lookups.length === 0) {
+      return;
+    }
+    await Promise.all(lookups.map(lookup => this._expandLookup(lookup.fieldName)));
+    await this._expandSavedPaths(fieldPaths);
+  }
+
+  /**
+   * Replaces the field list with the columns a SQL statement returns,
+   * keeping the settings of columns already configured and every
+   * calculated column.
+   */
+  _applySqlColumns(columns) {
+    const configured = new Map(this.fields.filter(f => !f.calculated).map(f => [f.fieldName, f]));
+    const columnFields = columns.map(col => {
+      const field = configured.get(col.fieldName);
+      return field ? { ...field, dataType: col.dataType } : this._toFieldModel(col);
+    });
+    this.fields = [...columnFields, ...this.fields.filter(f => f.calculated)];
+  }
+
+  _getColumnType(field) {
+    if (field.format && field.format.type) {
+      return field.format.type;
+    }
+    return DATA_TYPE_COLUMN_TYPES[field.dataType] || 'text';
+  }
+
+  _toCalculatedModel(f) {
+    return {
+      fieldName: f.fieldName,
+      label: f.label,
+      dataType: RESULT_DATA_TYPES[f.resultType] || 'string',
+      visible: f.visible !== false,
+      sortable: f.sortable !== false,
+      searchable: f.searchable === true,
+      filterable: false,
+      format: f.format || null,
+      calculated: true,
+      expression: f.expression,
+      resultType: f.resultType || 'text'
+    };
+  }
+
+  _toFieldModel(f) {
+    return {
+      fieldName: f.fieldName,
+      label: f.label,
+      dataType: f.dataType || '',
+      scale: f.scale,
+      length: f.length,
+      relationshipName: f.relationshipName,
+      referenceTo: f.referenceTo,
+      visible: true,
+      sortable: true,
+      searchable: false,
+      filterable: false,
+      format: null
+    };
+  }
+
   _showToast(title, message, variant) {
     this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
   }
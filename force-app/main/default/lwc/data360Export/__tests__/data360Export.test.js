@@ -0,0 +1,168 @@
+import { TextEncoder } from 'util';
+import { CSV_MIME_TYPE, buildCsv, buildFileName, buildXlsx, downloadFile, formatCellValue } from 'c/data360Export';
+
+// Browsers have TextEncoder; jsdom does not
+global.TextEncoder = TextEncoder;
+
+const COLUMNS = [
+  { fieldName: 'Name', label: 'Account Name', type: 'text' },
+  {
+    fieldName: 'AnnualRevenue',
+    label: 'Revenue',
+    type: 'currency',
+    typeAttributes: { currencyCode: 'EUR', maximumFractionDigits: 2 }
+  },
+  { fieldName: 'Rating', label: 'Rating', type: 'percent-fixed' },
+  { fieldName: 'IsActive', label: 'Active', type: 'boolean' }
+];
+
+// The workbook is a stored (uncompressed) zip, so its XML parts are readable as text
+function readZipText(bytes) {
+  return String.fromCharCode(...bytes);
+}
+
+describe('c-data360-export', () => {
+  describe('formatCellValue', () => {
+    it.each([[undefined], [null], ['']])('leaves %p empty', (value) => {
+      expect(formatCellValue({ type: 'number' }, value)).toBe('');
+      expect(formatCellValue({ type: 'text' }, value)).toBe('');
+    });
+
+    it('keeps the configured decimal places without grouping', () => {
+      const col = { type: 'currency', typeAttributes: { maximumFractionDigits: 2 } };
+
+      expect(formatCellValue(col, 1234567.5)).toBe('1234567.50');
+      expect(formatCellValue({ type: 'number' }, '42.10')).toBe('42.1');
+      expect(formatCellValue({ type: 'number', typeAttributes: { maximumFractionDigits: '' } }, 3.14159)).toBe(
+        '3.14159'
+      );
+    });
+
+    it('passes non-numeric values in numeric columns through as text', () => {
+      expect(formatCellValue({ type: 'number' }, 'n/a')).toBe('n/a');
+    });
+
+    it('keeps date-only values on their calendar day', () => {
+      const typeAttributes = { year: 'numeric', month: '2-digit', day: '2-digit' };
+      const newYearsDay = new Intl.DateTimeFormat(undefined, { ...typeAttributes, timeZone: 'UTC' }).format(
+        Date.UTC(2026, 0, 1)
+      );
+
+      expect(formatCellValue({ type: 'date-local', typeAttributes }, '2026-01-01')).toBe(newYearsDay);
+      expect(formatCellValue({ type: 'date', typeAttributes }, '2026-01-01')).toBe(newYearsDay);
+    });
+
+    it('leaves dates as they are without typeAttributes or when they do not parse', () => {
+      const col = { type: 'date', typeAttributes: { year: 'numeric' } };
+
+      expect(formatCellValue({ type: 'date' }, '2026-01-01T10:00:00.000Z')).toBe('2026-01-01T10:00:00.000Z');
+      expect(formatCellValue(col, 'not a date')).toBe('not a date');
+    });
+  });
+
+  describe('buildCsv', () => {
+    it('writes a byte order mark, a header row of labels and CRLF lines', () => {
+      const csv = buildCsv(COLUMNS, [{ Name: 'Acme', AnnualRevenue: 1000, Rating: 12.5, IsActive: true }]);
+
+      expect(csv).toBe('\uFEFFAccount Name,Revenue,Rating,Active\r\nAcme,1000.00,12.5,true');
+    });
+
+    it('falls back to the field name for columns without a label', () => {
+      expect(buildCsv([{ fieldName: 'Name', type: 'text' }], [])).toBe('\uFEFFName');
+    });
+
+    it('quotes values with commas, quotes and line breaks', () => {
+      const csv = buildCsv([COLUMNS[0]], [{ Name: 'Acme, "Global"\nInc' }]);
+
+      expect(csv.split('\r\n')[1]).toBe('"Acme, ""Global""\nInc"');
+    });
+
+    it('neutralizes formulas in text columns but not negative numbers', () => {
+      const columns = [COLUMNS[0], { fieldName: 'Balance', label: 'Balance', type: 'number' }];
+      const csv = buildCsv(columns, [{ Name: '=HYPERLINK("x")', Balance: -5 }]);
+
+      expect(csv.split('\r\n')[1]).toBe(`"'=HYPERLINK(""x"")",-5`);
+    });
+
+    it('writes empty cells for missing values', () => {
+      const csv = buildCsv(COLUMNS, [{ Name: 'Acme', AnnualRevenue: null }]);
+
+      expect(csv.split('\r\n')[1]).toBe('Acme,,,');
+    });
+  });
+
+  describe('buildXlsx', () => {
+    it('builds a zip holding the workbook parts', () => {
+      const bytes = buildXlsx(COLUMNS, [], 'Accounts');
+      const text = readZipText(bytes);
+
+      expect(bytes[0]).toBe(0x50);
+      expect(bytes[1]).toBe(0x4b);
+      ['[Content_Types].xml', 'xl/workbook.xml', 'xl/styles.xml', 'xl/worksheets/sheet1.xml'].forEach((name) =>
+        expect(text).toContain(name)
+      );
+      expect(text).toContain('<sheet name="Accounts"');
+    });
+
+    it('writes numbers, booleans and text as typed cells and skips empty ones', () => {
+      const text = readZipText(
+        buildXlsx(COLUMNS, [{ Name: 'A & B <Ltd>', AnnualRevenue: 1000, Rating: 12.5, IsActive: 'true' }, {}], 'x')
+      );
+
+      expect(text).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">A &amp; B &lt;Ltd&gt;</t></is></c>');
+      expect(text).toContain('<c r="B2" s="2"><v>1000</v></c>');
+      // Excel percent formats multiply by 100
+      expect(text).toContain('<c r="C2" s="3"><v>0.125</v></c>');
+      expect(text).toContain('<c r="D2" t="b"><v>1</v></c>');
+      expect(text).toContain('<row r="3"></row>');
+      expect(text).toContain('formatCode="[$EUR] #,##0.00"');
+      expect(text).toContain('formatCode="0.00%"');
+    });
+
+    it('cleans sheet names Excel does not accept', () => {
+      expect(readZipText(buildXlsx(COLUMNS, [], 'Q1/Q2: [Draft]'))).toContain('<sheet name="Q1 Q2   Draft"');
+      expect(readZipText(buildXlsx(COLUMNS, [], ''))).toContain('<sheet name="Sheet1"');
+      expect(readZipText(buildXlsx(COLUMNS, [], 'x'.repeat(40)))).toContain(`<sheet name="${'x'.repeat(31)}"`);
+    });
+
+    it('drops characters XML cannot carry', () => {
+      const text = readZipText(buildXlsx([COLUMNS[0]], [{ Name: 'Bell\u0007' }], 'x'));
+
+      expect(text).toContain('<t xml:space="preserve">Bell</t>');
+    });
+  });
+
+  describe('buildFileName', () => {
+    beforeEach(() => {
+      jest.useFakeTimers().setSystemTime(new Date('2026-10-18T12:00:00Z'));
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('dates a safe version of the title', () => {
+      expect(buildFileName('Open Cases (EMEA)', 'csv')).toBe('Open_Cases_EMEA-2026-10-18.csv');
+    });
+
+    it.each([[''], [null], ['***']])('falls back to "export" for %p', (title) => {
+      expect(buildFileName(title, 'xlsx')).toBe('export-2026-10-18.xlsx');
+    });
+  });
+
+  describe('downloadFile', () => {
+    it('clicks a temporary data URI link', () => {
+      let link;
+      jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function click() {
+        link = this;
+      });
+
+      downloadFile('accounts.csv', 'Name\r\nAcme', CSV_MIME_TYPE);
+
+      expect(link.download).toBe('accounts.csv');
+      expect(link.href).toBe(`data:${CSV_MIME_TYPE};base64,${btoa('Name\r\nAcme')}`);
+      expect(link.isConnected).toBe(false);
+      jest.restoreAllMocks();
+    });
+  });
+});
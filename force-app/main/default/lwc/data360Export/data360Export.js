@@ -0,0 +1,383 @@
+/**
+ * Builds CSV and XLSX files from datatable columns and rows. Columns are
+ * the ones rendered by data360Table, so exports carry the configured
+ * labels, order and number/date formatting.
+ */
+
+const NUMERIC_TYPES = ['number', 'currency', 'percent-fixed'];
+const DATE_TYPES = ['date', 'date-local'];
+// Leading characters that spreadsheet apps evaluate as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Characters XML 1.0 cannot carry, even escaped
+const INVALID_XML_CHARS = /[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu;
+
+export const CSV_MIME_TYPE = 'text/csv;charset=utf-8';
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+function getFractionDigits(col) {
+  const attrs = col.typeAttributes || {};
+  const digits = attrs.maximumFractionDigits;
+  return digits === undefined || digits === null || digits === '' ? null : parseInt(digits, 10);
+}
+
+/**
+ * Formats a date or datetime value with the column's typeAttributes.
+ * Date-only values stay on their calendar day regardless of time zone.
+ */
+function formatDateValue(col, value) {
+  const attrs = { ...(col.typeAttributes || {}) };
+  delete attrs.timeZone;
+  if (Object.keys(attrs).length === 0) {
+    return String(value);
+  }
+  const isDateOnly = col.type === 'date-local' || /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = isDateOnly ? new Date(`${String(value).substring(0, 10)}T00:00:00Z`) : new Date(value);
+  if (isNaN(date.getTime())) {
+    return String(value);
+  }
+  return new Intl.DateTimeFormat(undefined, { ...attrs, ...(isDateOnly ? { timeZone: 'UTC' } : {}) }).format(date);
+}
+
+/**
+ * Text for one cell. Numbers keep the configured decimal places but no
+ * grouping or symbol, so CSV files re-import cleanly.
+ */
+export function formatCellValue(col, value) {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+  if (NUMERIC_TYPES.includes(col.type) && !isNaN(Number(value))) {
+    const digits = getFractionDigits(col);
+    return digits === null ? String(Number(value)) : Number(value).toFixed(digits);
+  }
+  if (DATE_TYPES.includes(col.type)) {
+    return formatDateValue(col, value);
+  }
+  return String(value);
+}
+
+function escapeCsvValue(text, isTextColumn) {
+  let value = text;
+  if (isTextColumn && FORMULA_PREFIX.test(value)) {
+    value = `'${value}`;
+  }
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * CSV with a header row of column labels. Starts with a byte order mark
+ * so Excel opens it as UTF-8.
+ */
+export function buildCsv(columns, rows) {
+  const lines = [columns.map((col) => escapeCsvValue(col.label || col.fieldName, true)).join(',')];
+  for (const row of rows) {
+    lines.push(
+      columns
+        .map((col) =>
+          escapeCsvValue(formatCellValue(col, row[col.fieldName]), !NUMERIC_TYPES.includes(col.type))
+        )
+        .join(',')
+    );
+  }
+  return `\uFEFF${lines.join('\r\n')}`;
+}
+
+// ── XLSX ─────────────────────────────────────────────────────────
+
+function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function columnLetter(index) {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Excel number format code for a numeric column, or null for General.
+ */
+function getNumberFormat(col) {
+  const digits = getFractionDigits(col);
+  const decimals = (count) => (count > 0 ? `.${'0'.repeat(count)}` : '');
+  if (col.type === 'currency') {
+    const code = (col.typeAttributes && col.typeAttributes.currencyCode) || '';
+    const pattern = `#,##0${decimals(digits === null ? 2 : digits)}`;
+    return code ? `[$${code}] ${pattern}` : pattern;
+  }
+  if (col.type === 'percent-fixed') {
+    return `0${decimals(digits === null ? 2 : digits)}%`;
+  }
+  if (col.type === 'number' && digits !== null) {
+    return `#,##0${decimals(digits)}`;
+  }
+  return null;
+}
+
+function buildStyles(formatCodes) {
+  const numFmts = formatCodes
+    .map((code, idx) => `<numFmt numFmtId="${164 + idx}" formatCode="${escapeXml(code)}"/>`)
+    .join('');
+  const numberXfs = formatCodes
+    .map((code, idx) => `<xf numFmtId="${164 + idx}" fontId="0" fillId="0" borderId="0" applyNumberFormat="1"/>`)
+    .join('');
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    (formatCodes.length > 0 ? `<numFmts count="${formatCodes.length}">${numFmts}</numFmts>` : '') +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    `<cellXfs count="${2 + formatCodes.length}">` +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    numberXfs +
+    '</cellXfs>' +
+    '</styleSheet>'
+  );
+}
+
+function buildCell(ref, col, value, styleIndex) {
+  if (value === undefined || value === null || value === '') {
+    return '';
+  }
+  if (NUMERIC_TYPES.includes(col.type) && !isNaN(Number(value))) {
+    // Excel percent formats multiply by 100; datatable percent-fixed does not
+    const number = col.type === 'percent-fixed' ? Number(value) / 100 : Number(value);
+    const style = styleIndex ? ` s="${styleIndex}"` : '';
+    return `<c r="${ref}"${style}><v>${number}</v></c>`;
+  }
+  if (col.type === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value === true || value === 'true' ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(formatCellValue(col, value))}</t></is></c>`;
+}
+
+function buildSheet(columns, rows, styleIndexes) {
+  const header = columns
+    .map((col, idx) => {
+      const ref = `${columnLetter(idx)}1`;
+      return `<c r="${ref}" s="1" t="inlineStr"><is><t>${escapeXml(col.label || col.fieldName)}</t></is></c>`;
+    })
+    .join('');
+  const body = rows
+    .map((row, rowIdx) => {
+      const rowNumber = rowIdx + 2;
+      const cells = columns
+        .map((col, idx) => buildCell(`${columnLetter(idx)}${rowNumber}`, col, row[col.fieldName], styleIndexes[idx]))
+        .join('');
+      return `<row r="${rowNumber}">${cells}</row>`;
+    })
+    .join('');
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData><row r="1">${header}</row>${body}</sheetData>` +
+    '</worksheet>'
+  );
+}
+
+function sanitizeSheetName(name) {
+  const cleaned = String(name || '')
+    .replace(/[[\]:*?/\\]/g, ' ')
+    .trim()
+    .substring(0, 31);
+  return cleaned || 'Sheet1';
+}
+
+/**
+ * A single-sheet XLSX workbook: a bold, frozen header row of column labels,
+ * numeric cells with the column's number format, and text for the rest.
+ */
+export function buildXlsx(columns, rows, sheetName) {
+  const formatCodes = [];
+  const styleIndexes = columns.map((col) => {
+    const code = getNumberFormat(col);
+    if (!code) {
+      return 0;
+    }
+    if (!formatCodes.includes(code)) {
+      formatCodes.push(code);
+    }
+    // Styles 0 and 1 are the default and header styles
+    return 2 + formatCodes.indexOf(code);
+  });
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(sanitizeSheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>'
+    },
+    { name: 'xl/styles.xml', content: buildStyles(formatCodes) },
+    { name: 'xl/worksheets/sheet1.xml', content: buildSheet(columns, rows, styleIndexes) }
+  ];
+  return buildZip(files);
+}
+
+// ── ZIP (stored, no compression) ─────────────────────────────────
+
+let crcTable;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  for (const file of files) {
+    const nameBytes = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  for (const part of parts) {
+    zip.set(part, position);
+    position += part.length;
+  }
+  return zip;
+}
+
+// ── Download ─────────────────────────────────────────────────────
+
+function toBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Builds a file name like "Open_Cases-2026-10-18.xlsx" from a title.
+ */
+export function buildFileName(baseName, extension) {
+  const safeName =
+    String(baseName || 'export')
+      .replace(/[^a-zA-Z0-9_-]+/g, '_')
+      .replace(/^_+|_+$/g, '') || 'export';
+  return `${safeName}-${new Date().toISOString().substring(0, 10)}.${extension}`;
+}
+
+/**
+ * Downloads text or bytes as a file through a data URI, which works under
+ * Lightning Locker and Lightning Web Security alike.
+ */
+export function downloadFile(fileName, content, mimeType) {
+  const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : content;
+  const link = document.createElement('a');
+  link.href = `data:${mimeType};base64,${toBase64(bytes)}`;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+}
@@ -0,0 +1,105 @@
+import {
+  ExpressionError,
+  calculateValue,
+  evaluateExpression,
+  getExpressionFields,
+  parseExpression
+} from 'c/data360Expression';
+
+const ROW = {
+  FirstName: 'Ada',
+  LastName: 'Lovelace',
+  Score__c: 72,
+  Amount: 1200,
+  Discount__c: null,
+  Last_Engaged__c: '2025-01-10',
+  CreatedDate: '2025-01-01T12:00:00.000Z'
+};
+
+const FIELD_TYPES = {
+  Score__c: 'number',
+  Amount: 'currency',
+  Last_Engaged__c: 'date-local',
+  CreatedDate: 'date'
+};
+
+function run(source, row = ROW) {
+  return evaluateExpression(parseExpression(source), row, FIELD_TYPES);
+}
+
+describe('c-data360-expression', () => {
+  describe('parseExpression', () => {
+    it.each([
+      ['1 +', 'The expression ends too early'],
+      ['(1 + 2', 'Expected ")" at the end'],
+      ['1 2', 'Unexpected "2" at position 3'],
+      ['Name @ 2', 'Unexpected "@" at position 6'],
+      ['EVAL(Name)', 'Unknown function EVAL at position 1'],
+      ['IF(TRUE)', 'IF takes 2 to 3 argument(s), not 1'],
+      ['', 'The expression is empty']
+    ])('rejects %p', (source, message) => {
+      expect(() => parseExpression(source)).toThrow(new ExpressionError(message));
+    });
+
+    it('lists the fields an expression reads', () => {
+      const node = parseExpression("IF(ISBLANK(Nickname), FirstName & ' ' & LastName, Nickname) & TEXT(TRUE)");
+
+      expect(getExpressionFields(node)).toEqual(['Nickname', 'FirstName', 'LastName']);
+    });
+  });
+
+  describe('evaluateExpression', () => {
+    it('does arithmetic with precedence and parentheses', () => {
+      expect(run('Amount * (1 - 0.25) + 10 / 4')).toBe(902.5);
+      expect(run('-Score__c + 2')).toBe(-70);
+    });
+
+    it('joins text', () => {
+      expect(run("FirstName & ' ' & LastName")).toBe('Ada Lovelace');
+      expect(run("UPPER(LEFT(LastName, 4)) + '!'")).toBe('LOVE!');
+      expect(run("'Score: ' & Score__c & Discount__c")).toBe('Score: 72');
+    });
+
+    it('picks a value with IF and comparisons', () => {
+      const badge = "IF(Score__c >= 80, 'Hot', IF(Score__c >= 50, 'Warm', 'Cold'))";
+
+      expect(run(badge)).toBe('Warm');
+      expect(run(badge, { ...ROW, Score__c: 91 })).toBe('Hot');
+      expect(run("Score__c > 50 AND NOT (FirstName = 'Bob') || FALSE")).toBe(true);
+      expect(run('AND(Score__c > 50, OR(Amount < 10, Amount <> 5))')).toBe(true);
+    });
+
+    it('counts days between dates', () => {
+      expect(run('Last_Engaged__c - DATEVALUE(CreatedDate)')).toBe(9);
+      expect(run('TEXT(Last_Engaged__c + 30)')).toBe('2025-02-09');
+      expect(run('YEAR(Last_Engaged__c) * 100 + MONTH(Last_Engaged__c)')).toBe(202501);
+    });
+
+    it('gives blank results for blank values and division by zero', () => {
+      expect(run('Discount__c * Amount')).toBeNull();
+      expect(run('Amount / 0')).toBeNull();
+      expect(run('ROUND(Discount__c, 2)')).toBeNull();
+      expect(run('BLANKVALUE(Discount__c, 0) + 1')).toBe(1);
+      expect(run('ISBLANK(Discount__c)')).toBe(true);
+      expect(run('Discount__c = NULL')).toBe(true);
+    });
+
+    it('throws for values of the wrong type', () => {
+      expect(() => run('FirstName * 2')).toThrow('* needs a number, not "Ada"');
+    });
+  });
+
+  describe('calculateValue', () => {
+    it('converts the result to the column type', () => {
+      expect(calculateValue(parseExpression('ROUND(Amount / 7, 2)'), 'number', ROW, FIELD_TYPES)).toBe(171.43);
+      expect(calculateValue(parseExpression('Last_Engaged__c + 1'), 'date', ROW, FIELD_TYPES)).toBe('2025-01-11');
+      expect(calculateValue(parseExpression('Score__c > 50'), 'boolean', ROW, FIELD_TYPES)).toBe(true);
+      expect(calculateValue(parseExpression('Score__c'), 'text', ROW, FIELD_TYPES)).toBe('72');
+    });
+
+    it('leaves the cell empty when the row cannot be calculated', () => {
+      expect(calculateValue(parseExpression('FirstName * 2'), 'number', ROW, FIELD_TYPES)).toBeNull();
+      expect(calculateValue(parseExpression('FirstName'), 'number', ROW, FIELD_TYPES)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,546 @@
+/**
+ * The formula language of calculated columns: config.fields entries with
+ * calculated: true, an expression and a resultType. Expressions are parsed
+ * into a tree and evaluated against each row; nothing is ever run as code.
+ *   literals   42, 3.5, 'text' or "text", TRUE, FALSE, NULL
+ *   fields     FirstName, Amount__c (the row's value, NULL when empty)
+ *   operators  + - * /, & joins text, = != <> < <= > >=, AND OR NOT (or && || !)
+ *   functions  IF(condition, then, else) and the others in FUNCTIONS
+ * Date and date/time fields read as dates: date - date is the number of
+ * days between them, and date + number adds days. Arithmetic on an empty
+ * value gives an empty result, and so does dividing by zero.
+ *
+ * Data360ConfigService.expressionFields finds the same field references
+ * for the runtime query. Keep the two in step.
+ */
+
+export class ExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExpressionError';
+  }
+}
+
+// What a calculated column shows, with its lightning-datatable type
+export const RESULT_TYPES = [
+  { label: 'Text', value: 'text', columnType: 'text' },
+  { label: 'Number', value: 'number', columnType: 'number' },
+  { label: 'Date', value: 'date', columnType: 'date-local' },
+  { label: 'Checkbox', value: 'boolean', columnType: 'boolean' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_COLUMN_TYPES = ['date', 'date-local'];
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+// Numbers, quoted text, names and operators, each after optional whitespace
+const TOKEN_PATTERN =
+  /\s*(?:(\d+(?:\.\d+)?|\.\d+)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|<>|!=|==|&&|\|\||[-+*/&=<>!(),]))/y;
+const KEYWORDS = ['TRUE', 'FALSE', 'NULL', 'AND', 'OR', 'NOT'];
+const COMPARISON_OPERATORS = ['=', '==', '!=', '<>', '<', '<=', '>', '>='];
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+// Dates without a time are kept at UTC midnight, like date-local values
+function toDateOnly(year, monthIndex, day) {
+  return new Date(Date.UTC(year, monthIndex, day));
+}
+
+function isDateOnly(date) {
+  return date.getTime() % DAY_MS === 0;
+}
+
+function toDate(value) {
+  if (value instanceof Date) {
+    return value;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = DATE_ONLY_PATTERN.exec(value);
+  const date = match ? toDateOnly(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function toDateText(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+function toText(value) {
+  if (isBlank(value)) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return isDateOnly(value) ? toDateText(value) : value.toISOString();
+  }
+  return String(value);
+}
+
+function requireNumber(value, operator) {
+  if (typeof value !== 'number') {
+    throw new ExpressionError(`${operator} needs a number, not ${JSON.stringify(toText(value))}`);
+  }
+  return value;
+}
+
+function requireText(value, name) {
+  if (typeof value !== 'string') {
+    throw new ExpressionError(`${name} needs text, not ${JSON.stringify(toText(value))}`);
+  }
+  return value;
+}
+
+function requireDate(value, name) {
+  const date = toDate(value);
+  if (!date) {
+    throw new ExpressionError(`${name} needs a date, not ${JSON.stringify(toText(value))}`);
+  }
+  return date;
+}
+
+// Midnight of the date part, in the user's time zone for date/times
+function toCalendarDate(date) {
+  return isDateOnly(date) ? date : toDateOnly(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Functions by upper-case name: [minArgs, maxArgs, implementation]. A
+ * blank argument makes the result NULL, except for the functions in
+ * BLANK_ARGUMENT_FUNCTIONS. IF is evaluated lazily by evaluateExpression.
+ */
+const FUNCTIONS = {
+  IF: [2, 3],
+  AND: [1, Infinity, (...args) => args.every((arg) => arg === true)],
+  OR: [1, Infinity, (...args) => args.some((arg) => arg === true)],
+  ISBLANK: [1, 1, (value) => isBlank(value)],
+  BLANKVALUE: [2, 2, (value, fallback) => (isBlank(value) ? fallback : value)],
+  TODAY: [
+    0,
+    0,
+    () => {
+      const now = new Date();
+      return toDateOnly(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+  ],
+  NOW: [0, 0, () => new Date()],
+  DATEVALUE: [1, 1, (value) => toCalendarDate(requireDate(value, 'DATEVALUE'))],
+  YEAR: [1, 1, (value) => requireDate(value, 'YEAR').getUTCFullYear()],
+  MONTH: [1, 1, (value) => requireDate(value, 'MONTH').getUTCMonth() + 1],
+  DAY: [1, 1, (value) => requireDate(value, 'DAY').getUTCDate()],
+  ROUND: [
+    1,
+    2,
+    (value, digits = 0) => {
+      const factor = 10 ** requireNumber(digits, 'ROUND');
+      return Math.round(requireNumber(value, 'ROUND') * factor) / factor;
+    }
+  ],
+  ABS: [1, 1, (value) => Math.abs(requireNumber(value, 'ABS'))],
+  FLOOR: [1, 1, (value) => Math.floor(requireNumber(value, 'FLOOR'))],
+  CEILING: [1, 1, (value) => Math.ceil(requireNumber(value, 'CEILING'))],
+  MIN: [1, Infinity, (...args) => Math.min(...args.map((arg) => requireNumber(arg, 'MIN')))],
+  MAX: [1, Infinity, (...args) => Math.max(...args.map((arg) => requireNumber(arg, 'MAX')))],
+  LEN: [1, 1, (value) => toText(value).length],
+  UPPER: [1, 1, (value) => requireText(value, 'UPPER').toUpperCase()],
+  LOWER: [1, 1, (value) => requireText(value, 'LOWER').toLowerCase()],
+  TRIM: [1, 1, (value) => requireText(value, 'TRIM').trim()],
+  LEFT: [2, 2, (value, count) => requireText(value, 'LEFT').substring(0, requireNumber(count, 'LEFT'))],
+  RIGHT: [
+    2,
+    2,
+    (value, count) => {
+      const text = requireText(value, 'RIGHT');
+      return text.substring(Math.max(0, text.length - requireNumber(count, 'RIGHT')));
+    }
+  ],
+  CONTAINS: [2, 2, (value, part) => toText(value).includes(toText(part))],
+  TEXT: [1, 1, (value) => toText(value)],
+  VALUE: [
+    1,
+    1,
+    (value) => {
+      const parsed = Number(toText(value).trim());
+      return isNaN(parsed) ? null : parsed;
+    }
+  ]
+};
+const BLANK_ARGUMENT_FUNCTIONS = ['ISBLANK', 'BLANKVALUE', 'AND', 'OR', 'LEN', 'CONTAINS', 'TEXT'];
+
+function tokenize(source) {
+  const tokens = [];
+  let position = 0;
+  while (position < source.length) {
+    TOKEN_PATTERN.lastIndex = position;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      if (source.substring(position).trim() === '') {
+        break;
+      }
+      const offset = source.length - source.substring(position).trimStart().length;
+      throw new ExpressionError(`Unexpected "${source.charAt(offset)}" at position ${offset + 1}`);
+    }
+    const [text, number, string, name, operator] = match;
+    const start = position + text.length - (number || string || name || operator).length + 1;
+    if (number !== undefined) {
+      tokens.push({ type: 'number', value: Number(number), position: start });
+    } else if (string !== undefined) {
+      tokens.push({ type: 'string', value: string.slice(1, -1).replace(/\\(.)/g, '$1'), position: start });
+    } else if (name !== undefined) {
+      tokens.push({ type: 'name', value: name, position: start });
+    } else {
+      tokens.push({ type: 'operator', value: operator, position: start });
+    }
+    position = TOKEN_PATTERN.lastIndex;
+  }
+  return tokens;
+}
+
+/**
+ * Recursive descent over the token list, lowest precedence first:
+ * OR, AND, NOT, comparison, + - &, * /, unary minus, then values.
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    const token = this.tokens[this.index];
+    this.index++;
+    return token;
+  }
+
+  // Matches an operator, or a keyword case-insensitively
+  accept(...values) {
+    const token = this.peek();
+    if (!token || (token.type !== 'operator' && token.type !== 'name')) {
+      return null;
+    }
+    const text = token.type === 'name' ? token.value.toUpperCase() : token.value;
+    if (!values.includes(text)) {
+      return null;
+    }
+    // AND( and OR( are functions, not operators
+    if (token.type === 'name' && FUNCTIONS[text] && this.isCall(this.index)) {
+      return null;
+    }
+    this.index++;
+    return text;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (!token || token.value !== value) {
+      throw new ExpressionError(
+        token ? `Expected "${value}" at position ${token.position}` : `Expected "${value}" at the end`
+      );
+    }
+  }
+
+  isCall(index) {
+    const following = this.tokens[index + 1];
+    return Boolean(following) && following.type === 'operator' && following.value === '(';
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      throw new ExpressionError('The expression is empty');
+    }
+    const node = this.parseOr();
+    const token = this.peek();
+    if (token) {
+      throw new ExpressionError(`Unexpected "${token.value}" at position ${token.position}`);
+    }
+    return node;
+  }
+
+  parseOr() {
+    let node = this.parseAnd();
+    while (this.accept('OR', '||')) {
+      node = { type: 'binary', operator: 'OR', left: node, right: this.parseAnd() };
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseNot();
+    while (this.accept('AND', '&&')) {
+      node = { type: 'binary', operator: 'AND', left: node, right: this.parseNot() };
+    }
+    return node;
+  }
+
+  parseNot() {
+    if (this.accept('NOT', '!')) {
+      return { type: 'unary', operator: 'NOT', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const node = this.parseAdditive();
+    const operator = this.accept(...COMPARISON_OPERATORS);
+    if (!operator) {
+      return node;
+    }
+    return { type: 'binary', operator, left: node, right: this.parseAdditive() };
+  }
+
+  parseAdditive() {
+    let node = this.parseMultiplicative();
+    let operator = this.accept('+', '-', '&');
+    while (operator) {
+      node = { type: 'binary', operator, left: node, right: this.parseMultiplicative() };
+      operator = this.accept('+', '-', '&');
+    }
+    return node;
+  }
+
+  parseMultiplicative() {
+    let node = this.parseUnary();
+    let operator = this.accept('*', '/');
+    while (operator) {
+      node = { type: 'binary', operator, left: node, right: this.parseUnary() };
+      operator = this.accept('*', '/');
+    }
+    return node;
+  }
+
+  parseUnary() {
+    if (this.accept('-')) {
+      return { type: 'unary', operator: '-', operand: this.parseUnary() };
+    }
+    this.accept('+');
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (!token) {
+      throw new ExpressionError('The expression ends too early');
+    }
+    if (token.type === 'number' || token.type === 'string') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'operator') {
+      if (token.value !== '(') {
+        throw new ExpressionError(`Unexpected "${token.value}" at position ${token.position}`);
+      }
+      const node = this.parseOr();
+      this.expect(')');
+      return node;
+    }
+    const name = token.value.toUpperCase();
+    if (this.isCall(this.index - 1)) {
+      return this.parseCall(token, name);
+    }
+    if (name === 'TRUE' || name === 'FALSE' || name === 'NULL') {
+      return { type: 'literal', value: name === 'NULL' ? null : name === 'TRUE' };
+    }
+    if (KEYWORDS.includes(name)) {
+      throw new ExpressionError(`Unexpected "${token.value}" at position ${token.position}`);
+    }
+    return { type: 'field', fieldName: token.value };
+  }
+
+  parseCall(token, name) {
+    const definition = FUNCTIONS[name];
+    if (!definition) {
+      throw new ExpressionError(`Unknown function ${token.value} at position ${token.position}`);
+    }
+    this.expect('(');
+    const args = [];
+    if (!this.accept(')')) {
+      do {
+        args.push(this.parseOr());
+      } while (this.accept(','));
+      this.expect(')');
+    }
+    const [minArgs, maxArgs] = definition;
+    if (args.length < minArgs || args.length > maxArgs) {
+      const expected = minArgs === maxArgs ? minArgs : `${minArgs} to ${maxArgs === Infinity ? 'any' : maxArgs}`;
+      throw new ExpressionError(`${name} takes ${expected} argument(s), not ${args.length}`);
+    }
+    return { type: 'call', name, args };
+  }
+}
+
+/**
+ * Parses an expression into its tree. Throws ExpressionError with the
+ * position of the first problem.
+ */
+export function parseExpression(source) {
+  return new Parser(tokenize(source || '')).parse();
+}
+
+/**
+ * Field API names an expression tree reads from the row, in order of use.
+ */
+export function getExpressionFields(node) {
+  const fieldNames = [];
+  const visit = (current) => {
+    if (current.type === 'field' && !fieldNames.includes(current.fieldName)) {
+      fieldNames.push(current.fieldName);
+    }
+    [current.left, current.right, current.operand, ...(current.args || [])].filter((child) => child).forEach(visit);
+  };
+  visit(node);
+  return fieldNames;
+}
+
+function compare(left, right) {
+  if (left instanceof Date || right instanceof Date) {
+    return requireDate(left, 'Comparing dates').getTime() - requireDate(right, 'Comparing dates').getTime();
+  }
+  if (typeof left !== typeof right) {
+    throw new ExpressionError(`Cannot compare ${JSON.stringify(toText(left))} with ${JSON.stringify(toText(right))}`);
+  }
+  if (left === right) {
+    return 0;
+  }
+  return left < right ? -1 : 1;
+}
+
+function add(left, right) {
+  if (left instanceof Date && typeof right === 'number') {
+    return new Date(left.getTime() + right * DAY_MS);
+  }
+  if (typeof left === 'number' && right instanceof Date) {
+    return new Date(right.getTime() + left * DAY_MS);
+  }
+  if (typeof left === 'string' && typeof right === 'string') {
+    return left + right;
+  }
+  return requireNumber(left, '+') + requireNumber(right, '+');
+}
+
+function subtract(left, right) {
+  if (left instanceof Date && right instanceof Date) {
+    return (left.getTime() - right.getTime()) / DAY_MS;
+  }
+  if (left instanceof Date) {
+    return new Date(left.getTime() - requireNumber(right, '-') * DAY_MS);
+  }
+  return requireNumber(left, '-') - requireNumber(right, '-');
+}
+
+function evaluateBinary(operator, left, right) {
+  switch (operator) {
+    case 'AND':
+      return left === true && right === true;
+    case 'OR':
+      return left === true || right === true;
+    case '&':
+      return toText(left) + toText(right);
+    case '=':
+    case '==':
+      return isBlank(left) || isBlank(right) ? isBlank(left) && isBlank(right) : compare(left, right) === 0;
+    case '!=':
+    case '<>':
+      return isBlank(left) || isBlank(right) ? isBlank(left) !== isBlank(right) : compare(left, right) !== 0;
+    default:
+      break;
+  }
+  if (isBlank(left) || isBlank(right)) {
+    return null;
+  }
+  switch (operator) {
+    case '+':
+      return add(left, right);
+    case '-':
+      return subtract(left, right);
+    case '*':
+      return requireNumber(left, '*') * requireNumber(right, '*');
+    case '/':
+      return requireNumber(right, '/') === 0 ? null : requireNumber(left, '/') / right;
+    case '<':
+      return compare(left, right) < 0;
+    case '<=':
+      return compare(left, right) <= 0;
+    case '>':
+      return compare(left, right) > 0;
+    default:
+      return compare(left, right) >= 0;
+  }
+}
+
+/**
+ * Evaluates a parsed expression against a row. fieldTypes maps field API
+ * names to datatable column types so date fields read as dates. Throws
+ * ExpressionError when a value has the wrong type, e.g. 'abc' * 2.
+ */
+export function evaluateExpression(node, row, fieldTypes = {}) {
+  const evaluate = (current) => evaluateExpression(current, row, fieldTypes);
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'field': {
+      const value = row[node.fieldName];
+      if (isBlank(value)) {
+        return null;
+      }
+      return DATE_COLUMN_TYPES.includes(fieldTypes[node.fieldName]) ? toDate(value) : value;
+    }
+    case 'unary': {
+      const operand = evaluate(node.operand);
+      if (node.operator === 'NOT') {
+        return operand !== true;
+      }
+      return isBlank(operand) ? null : -requireNumber(operand, '-');
+    }
+    case 'binary':
+      return evaluateBinary(node.operator, evaluate(node.left), evaluate(node.right));
+    default:
+      break;
+  }
+  if (node.name === 'IF') {
+    const [condition, whenTrue, whenFalse] = node.args;
+    if (evaluate(condition) === true) {
+      return evaluate(whenTrue);
+    }
+    return whenFalse ? evaluate(whenFalse) : null;
+  }
+  const args = node.args.map(evaluate);
+  if (!BLANK_ARGUMENT_FUNCTIONS.includes(node.name) && args.some((arg) => isBlank(arg))) {
+    return null;
+  }
+  return FUNCTIONS[node.name][2](...args);
+}
+
+/**
+ * A calculated column's cell value: the expression's result as resultType,
+ * or null when it is empty, cannot be read as that type or fails for
+ * this row.
+ */
+export function calculateValue(node, resultType, row, fieldTypes) {
+  let value;
+  try {
+    value = evaluateExpression(node, row, fieldTypes);
+  } catch (e) {
+    if (e instanceof ExpressionError) {
+      return null;
+    }
+    throw e;
+  }
+  if (isBlank(value)) {
+    return null;
+  }
+  switch (resultType) {
+    case 'number':
+      return typeof value === 'number' && isFinite(value) ? value : null;
+    case 'date': {
+      const date = toDate(value);
+      return date ? toDateText(toCalendarDate(date)) : null;
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? value : null;
+    default:
+      return toText(value);
+  }
+}
@@ -0,0 +1,126 @@
+import { LightningElement, api } from 'lwc';
+
+import getFilterValues from '@salesforce/apex/Data360ConfigService.getFilterValues';
+
+const NUMBER_TYPES = ['number', 'currency', 'percent-fixed'];
+const DATE_TYPES = ['date', 'date-local'];
+
+/**
+ * End-user filter controls for data360Table. Renders one typed control per
+ * filterable column and emits the selections as a `filterchange` event;
+ * the table sends them to Data360ConfigService, which builds the WHERE
+ * predicates on the server.
+ */
+export default class Data360FilterPanel extends LightningElement {
+  // Picklist values are read for configRef's Filterable fields; admins'
+  // draft previews pass objectApiName alone
+  @api configRef;
+  @api objectApiName;
+
+  _fields = [];
+  controls = [];
+  _selections = {};
+  _valueOptions = {};
+
+  // [{ fieldName, label, type }] where type is the datatable column type
+  @api
+  get fields() {
+    return this._fields;
+  }
+  set fields(value) {
+    this._fields = value || [];
+    this._buildControls();
+    this._loadValueOptions();
+  }
+
+  connectedCallback() {
+    this._loadValueOptions();
+  }
+
+  get hasSelections() {
+    return this._buildFilters().length > 0;
+  }
+
+  get isClearDisabled() {
+    return !this.hasSelections;
+  }
+
+  handleControlChange(event) {
+    const { fieldName, bound } = event.target.dataset;
+    this._selections = {
+      ...this._selections,
+      [fieldName]: { ...this._selections[fieldName], [bound]: event.detail.value }
+    };
+    this._buildControls();
+  }
+
+  handleApply() {
+    this.dispatchEvent(new CustomEvent('filterchange', { detail: { filters: this._buildFilters() } }));
+  }
+
+  handleClear() {
+    this._selections = {};
+    this._buildControls();
+    this.dispatchEvent(new CustomEvent('filterchange', { detail: { filters: [] } }));
+  }
+
+  _buildControls() {
+    this.controls = this._fields.map((field) => {
+      const selection = this._selections[field.fieldName] || {};
+      const isNumber = NUMBER_TYPES.includes(field.type);
+      const isDate = DATE_TYPES.includes(field.type);
+      const isBoolean = field.type === 'boolean';
+      return {
+        fieldName: field.fieldName,
+        label: field.label,
+        isRange: isNumber || isDate,
+        isBoolean,
+        isValues: !isNumber && !isDate && !isBoolean,
+        inputType: isDate ? 'date' : 'number',
+        minLabel: isDate ? `${field.label} From` : `${field.label} Min`,
+        maxLabel: isDate ? `${field.label} To` : `${field.label} Max`,
+        options: [{ label: 'All', value: '' }, ...(this._valueOptions[field.fieldName] || [])],
+        booleanOptions: [
+          { label: 'All', value: '' },
+          { label: 'Yes', value: 'true' },
+          { label: 'No', value: 'false' }
+        ],
+        value: selection.value || '',
+        min: selection.min || '',
+        max: selection.max || '',
+        checked: selection.checked || ''
+      };
+    });
+  }
+
+  async _loadValueOptions() {
+    if (!this.configRef && !this.objectApiName) {
+      return;
+    }
+    const pending = this.controls.filter((c) => c.isValues && !this._valueOptions[c.fieldName]);
+    const loaded = await Promise.all(
+      pending.map((control) =>
+        getFilterValues({ configRef: this.configRef, objectApiName: this.objectApiName, fieldName: control.fieldName })
+          .then((values) => [control.fieldName, values.map((v) => ({ label: v, value: v }))])
+          // Leave the picklist with only "All" if values cannot be loaded
+          .catch(() => [control.fieldName, []])
+      )
+    );
+    this._valueOptions = { ...this._valueOptions, ...Object.fromEntries(loaded) };
+    this._buildControls();
+  }
+
+  _buildFilters() {
+    const filters = [];
+    for (const control of this.controls) {
+      if (control.isValues && control.value) {
+        filters.push({ fieldName: control.fieldName, values: [control.value] });
+      } else if (control.isRange && (control.min || control.max)) {
+        filters.push({ fieldName: control.fieldName, min: control.min || null, max: control.max || null });
+      } else if (control.isBoolean && control.checked) {
+        filters.push({ fieldName: control.fieldName, checked: control.checked === 'true' });
+      }
+    }
+    return filters;
+  }
+}
@@ -0,0 +1,185 @@
+import {
+  applyFormatRules,
+  describeFormatRule,
+  getFormatRuleFields,
+  getFormattedFields,
+  getRuleCellAttributes,
+  matchesRule
+} from 'c/data360FormatRules';
+
+function rule(fieldName, operator, value, extra = {}) {
+  return { name: `${fieldName}-${operator}`, fieldName, operator, value, style: 'errorText', ...extra };
+}
+
+describe('c-data360-format-rules', () => {
+  describe('matchesRule', () => {
+    it.each([
+      ['equals', 'Banking', 'banking ', true],
+      ['equals', 'Banking', 'Tech', false],
+      ['notEquals', 'Banking', 'Tech', true],
+      ['contains', 'Acme Bank', 'BANK', true],
+      ['contains', 'Acme Tech', 'bank', false],
+      ['greaterThan', 'b', 'a', true],
+      ['lessThan', '2026-01-01', '2026-06-30', true],
+      ['greaterOrEqual', '2026-06-30', '2026-06-30', true]
+    ])('%s on text %p with %p is %p', (operator, cellValue, value, expected) => {
+      expect(matchesRule(rule('Field', operator, value), { Field: cellValue })).toBe(expected);
+    });
+
+    it.each([
+      ['equals', 0.8, '0.80', true],
+      ['greaterThan', 10, '9', true],
+      ['greaterThan', 10, '100', false],
+      ['lessOrEqual', -1, '-1', true],
+      ['greaterOrEqual', 0, '0', true]
+    ])('%s on number %p with %p is %p', (operator, cellValue, value, expected) => {
+      expect(matchesRule(rule('Score', operator, value), { Score: cellValue })).toBe(expected);
+    });
+
+    it('matches between inclusively', () => {
+      const between = rule('Score', 'between', '10', { valueTo: '20' });
+
+      expect(matchesRule(between, { Score: 10 })).toBe(true);
+      expect(matchesRule(between, { Score: 20 })).toBe(true);
+      expect(matchesRule(between, { Score: 20.5 })).toBe(false);
+      expect(matchesRule(between, { Score: 9 })).toBe(false);
+    });
+
+    it('never matches a number cell against a non-numeric rule value', () => {
+      ['equals', 'greaterThan', 'greaterOrEqual', 'lessThan', 'lessOrEqual'].forEach((operator) => {
+        expect(matchesRule(rule('Score', operator, 'high'), { Score: 5 })).toBe(false);
+      });
+      expect(matchesRule(rule('Score', 'between', '', { valueTo: '10' }), { Score: 5 })).toBe(false);
+    });
+
+    it('compares checkboxes as true or false', () => {
+      expect(matchesRule(rule('IsActive', 'equals', 'TRUE'), { IsActive: true })).toBe(true);
+      expect(matchesRule(rule('IsActive', 'equals', 'true'), { IsActive: false })).toBe(false);
+    });
+
+    it.each([[null], [undefined], ['']])('treats %p as empty', (cellValue) => {
+      const row = { Field: cellValue };
+
+      expect(matchesRule(rule('Field', 'isNull'), row)).toBe(true);
+      expect(matchesRule(rule('Field', 'isNotNull'), row)).toBe(false);
+      // An empty cell is not "not equal" to anything either
+      expect(matchesRule(rule('Field', 'notEquals', 'x'), row)).toBe(false);
+      expect(matchesRule(rule('Field', 'lessThan', '5'), row)).toBe(false);
+    });
+
+    it('treats zero and false as values', () => {
+      expect(matchesRule(rule('Score', 'isNotNull'), { Score: 0 })).toBe(true);
+      expect(matchesRule(rule('IsActive', 'isNull'), { IsActive: false })).toBe(false);
+    });
+
+    it('does not match unknown operators', () => {
+      expect(matchesRule(rule('Field', 'startsWith', 'A'), { Field: 'Acme' })).toBe(false);
+    });
+  });
+
+  describe('getFormatRuleFields', () => {
+    it('lists each rule field once, skipping rules without one', () => {
+      const rules = [
+        rule('Score', 'isNull'),
+        rule('', 'isNull'),
+        rule('Score', 'greaterThan', '1'),
+        rule('Name', 'isNull')
+      ];
+
+      expect(getFormatRuleFields(rules)).toEqual(['Score', 'Name']);
+      expect(getFormatRuleFields([])).toEqual([]);
+    });
+  });
+
+  describe('getRuleCellAttributes', () => {
+    it('points the cell at the row format keys of its field', () => {
+      expect(getRuleCellAttributes('Score')).toEqual({
+        class: { fieldName: '_format_Score_class' },
+        iconName: { fieldName: '_format_Score_icon' },
+        iconPosition: { fieldName: '_format_Score_iconPosition' }
+      });
+    });
+  });
+
+  describe('getFormattedFields', () => {
+    const columns = ['Name', 'Score', 'Industry'];
+
+    it('formats only the columns of cell rules', () => {
+      expect(getFormattedFields([rule('Score', 'isNull'), rule('Missing', 'isNull')], columns)).toEqual(['Score']);
+    });
+
+    it('formats every column when a rule styles the row', () => {
+      expect(getFormattedFields([rule('Score', 'isNull', '', { scope: 'row' })], columns)).toEqual(columns);
+    });
+  });
+
+  describe('applyFormatRules', () => {
+    const columns = ['Name', 'Score'];
+
+    it('returns the rows untouched without rules', () => {
+      const rows = [{ Name: 'Acme' }];
+
+      expect(applyFormatRules(rows, [], columns)).toBe(rows);
+    });
+
+    it('writes the first matching rule of each cell and blanks for the rest', () => {
+      const rules = [
+        rule('Score', 'greaterThan', '80', { style: 'error', iconName: 'utility:warning', iconPosition: 'right' }),
+        rule('Score', 'greaterThan', '50', { style: 'warning' })
+      ];
+      const [high, mid, none] = applyFormatRules([{ Score: 90 }, { Score: 60 }, { Score: null }], rules, columns);
+
+      expect(high).toMatchObject({
+        Score: 90,
+        _format_Score_class: 'slds-theme_error',
+        _format_Score_icon: 'utility:warning',
+        _format_Score_iconPosition: 'right'
+      });
+      expect(mid).toMatchObject({ _format_Score_class: 'slds-theme_warning', _format_Score_icon: '' });
+      expect(none).toMatchObject({
+        _format_Score_class: '',
+        _format_Score_icon: '',
+        _format_Score_iconPosition: 'left'
+      });
+      expect(high._format_Name_class).toBeUndefined();
+    });
+
+    it('styles every cell of rows matching a row rule', () => {
+      const rules = [rule('Score', 'lessThan', '10', { style: 'shade', scope: 'row' })];
+      const [row] = applyFormatRules([{ Name: 'Acme', Score: 5 }], rules, columns);
+
+      expect(row._format_Name_class).toBe('slds-theme_shade');
+      expect(row._format_Score_class).toBe('slds-theme_shade');
+    });
+
+    it('leaves the class blank for unknown styles', () => {
+      const [row] = applyFormatRules([{ Score: 1 }], [rule('Score', 'isNotNull', '', { style: 'neon' })], columns);
+
+      expect(row._format_Score_class).toBe('');
+    });
+
+    it('does not change the given rows', () => {
+      const rows = [{ Score: 1 }];
+      applyFormatRules(rows, [rule('Score', 'isNotNull')], columns);
+
+      expect(rows).toEqual([{ Score: 1 }]);
+    });
+  });
+
+  describe('describeFormatRule', () => {
+    it('describes the condition, style and icon', () => {
+      const description = describeFormatRule(
+        rule('Churn_Score__c', 'greaterThan', '0.8', { iconName: 'utility:warning', scope: 'row' })
+      );
+
+      expect(description).toBe('Churn_Score__c greater than 0.8: Red Text, utility:warning (whole row)');
+    });
+
+    it('describes between and empty checks', () => {
+      const between = rule('Score', 'between', '1', { valueTo: '5' });
+
+      expect(describeFormatRule(between)).toBe('Score between 1 and 5: Red Text');
+      expect(describeFormatRule(rule('Score', 'isNull', '', { style: '' }))).toBe('Score is empty: (no style)');
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Conditional formatting rules configured in config.formatRules. Each rule is
+ * { name, fieldName, operator, value, valueTo, scope, style, iconName, iconPosition }:
+ * when the row's fieldName value matches operator and value (value to
+ * valueTo for between), the fieldName cell, or every cell of the row when
+ * scope is 'row', gets the style's SLDS class and the optional icon.
+ * Rules are checked in order and the first match wins for each cell.
+ *
+ * data360Table writes the matched class and icon into hidden _format_*
+ * row keys and points each column's cellAttributes at them.
+ *
+ * Data360ConfigService.checkFormatRules accepts the same operators and
+ * styles. Keep the two in step.
+ */
+import { OPERATOR_LABELS } from 'c/data360ConditionGroup';
+
+const RULE_OPERATOR_NAMES = [
+  'equals',
+  'notEquals',
+  'contains',
+  'greaterThan',
+  'greaterOrEqual',
+  'lessThan',
+  'lessOrEqual',
+  'between',
+  'isNull',
+  'isNotNull'
+];
+
+export const RULE_OPERATORS = RULE_OPERATOR_NAMES.map((value) => ({
+  label: OPERATOR_LABELS[value] || value,
+  value
+}));
+
+export const NO_VALUE_OPERATORS = ['isNull', 'isNotNull'];
+
+// Global SLDS classes, since lightning-datatable cells do not see component CSS
+export const RULE_STYLES = [
+  { label: 'Red Text', value: 'errorText', className: 'slds-text-color_error' },
+  { label: 'Green Text', value: 'successText', className: 'slds-text-color_success' },
+  { label: 'Gray Text', value: 'weakText', className: 'slds-text-color_weak' },
+  { label: 'Red Background', value: 'error', className: 'slds-theme_error' },
+  { label: 'Yellow Background', value: 'warning', className: 'slds-theme_warning' },
+  { label: 'Green Background', value: 'success', className: 'slds-theme_success' },
+  { label: 'Blue Background', value: 'info', className: 'slds-theme_info' },
+  { label: 'Gray Background', value: 'shade', className: 'slds-theme_shade' }
+];
+
+const STYLE_CLASSES = Object.fromEntries(RULE_STYLES.map((style) => [style.value, style.className]));
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Orders a cell value against a rule value typed as text: numerically for
+ * number cells, as true/false for checkboxes and case-insensitively for
+ * text and ISO dates. NaN when the rule value is not a number for a number cell.
+ */
+function compareToRuleValue(cellValue, ruleValue) {
+  if (typeof cellValue === 'number') {
+    const number = parseFloat(ruleValue);
+    return isNaN(number) ? NaN : cellValue - number;
+  }
+  const left = String(cellValue).toLowerCase();
+  const right = String(ruleValue).trim().toLowerCase();
+  if (left === right) {
+    return 0;
+  }
+  return left < right ? -1 : 1;
+}
+
+export function matchesRule(rule, row) {
+  const cellValue = row[rule.fieldName];
+  if (rule.operator === 'isNull') {
+    return isBlank(cellValue);
+  }
+  if (rule.operator === 'isNotNull') {
+    return !isBlank(cellValue);
+  }
+  if (isBlank(cellValue)) {
+    return false;
+  }
+  const order = compareToRuleValue(cellValue, rule.value);
+  switch (rule.operator) {
+    case 'equals':
+      return order === 0;
+    case 'notEquals':
+      return order !== 0;
+    case 'contains':
+      return String(cellValue).toLowerCase().includes(String(rule.value).toLowerCase());
+    case 'greaterThan':
+      return order > 0;
+    case 'greaterOrEqual':
+      return order >= 0;
+    case 'lessThan':
+      return order < 0;
+    case 'lessOrEqual':
+      return order <= 0;
+    case 'between':
+      return order >= 0 && compareToRuleValue(cellValue, rule.valueTo) <= 0;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Field API names the rules read from the row.
+ */
+export function getFormatRuleFields(rules) {
+  return [...new Set(rules.map((rule) => rule.fieldName).filter((fieldName) => fieldName))];
+}
+
+function formatKey(fieldName, attribute) {
+  return `_format_${fieldName}_${attribute}`;
+}
+
+/**
+ * lightning-datatable cellAttributes that read a column's matched rule
+ * from the row.
+ */
+export function getRuleCellAttributes(fieldName) {
+  return {
+    class: { fieldName: formatKey(fieldName, 'class') },
+    iconName: { fieldName: formatKey(fieldName, 'icon') },
+    iconPosition: { fieldName: formatKey(fieldName, 'iconPosition') }
+  };
+}
+
+/**
+ * Fields whose cells some rule can style: every column when a rule styles
+ * whole rows, otherwise the fields of cell rules.
+ */
+export function getFormattedFields(rules, columnFieldNames) {
+  if (rules.some((rule) => rule.scope === 'row')) {
+    return columnFieldNames;
+  }
+  return columnFieldNames.filter((fieldName) => rules.some((rule) => rule.fieldName === fieldName));
+}
+
+/**
+ * Copies the rows with the first matching rule's class and icon for each
+ * of columnFieldNames written into the row's _format_* keys.
+ */
+export function applyFormatRules(rows, rules, columnFieldNames) {
+  if (rules.length === 0) {
+    return rows;
+  }
+  const fieldNames = getFormattedFields(rules, columnFieldNames);
+  return rows.map((row) => {
+    const formatted = { ...row };
+    const matched = rules.filter((rule) => matchesRule(rule, row));
+    fieldNames.forEach((fieldName) => {
+      const rule = matched.find((candidate) => candidate.scope === 'row' || candidate.fieldName === fieldName);
+      formatted[formatKey(fieldName, 'class')] = rule ? STYLE_CLASSES[rule.style] || '' : '';
+      formatted[formatKey(fieldName, 'icon')] = rule ? rule.iconName || '' : '';
+      formatted[formatKey(fieldName, 'iconPosition')] = rule ? rule.iconPosition : 'left';
+    });
+    return formatted;
+  });
+}
+
+/**
+ * A rule as one line of text, e.g. "Churn_Score__c greater than 0.8: Red Text".
+ */
+export function describeFormatRule(rule) {
+  const operator = RULE_OPERATORS.find((option) => option.value === rule.operator);
+  let condition = `${rule.fieldName} ${operator ? operator.label : rule.operator}`;
+  if (rule.operator === 'between') {
+    condition += ` ${rule.value} and ${rule.valueTo}`;
+  } else if (!NO_VALUE_OPERATORS.includes(rule.operator)) {
+    condition += ` ${rule.value}`;
+  }
+  const style = RULE_STYLES.find((option) => option.value === rule.style);
+  const effects = [style ? style.label : '', rule.iconName].filter((effect) => effect).join(', ');
+  return `${condition}: ${effects || '(no style)'}${rule.scope === 'row' ? ' (whole row)' : ''}`;
+}
@@ -0,0 +1,90 @@
+import { buildJoinState, describeJoin, findJoin, getJoinKeyFields, isJoinedField } from 'c/data360Joins';
+
+const EMAILS = {
+  objectApiName: 'ssot__ContactPointEmail__dlm',
+  label: 'Emails',
+  primaryField: 'ssot__Id__c',
+  joinField: 'ssot__PartyId__c'
+};
+const PHONES = {
+  objectApiName: 'ssot__ContactPointPhone__dlm',
+  label: 'Phones',
+  primaryField: 'ssot__Id__c',
+  joinField: 'ssot__PartyId__c'
+};
+const ACCOUNTS = { objectApiName: 'Account', primaryField: 'AccountId__c', joinField: 'Id' };
+
+describe('c-data360-joins', () => {
+  describe('findJoin', () => {
+    it('finds the join by the Object. prefix, ignoring case', () => {
+      expect(findJoin([EMAILS, PHONES], 'ssot__ContactPointPhone__dlm.ssot__TelephoneNumber__c')).toBe(PHONES);
+      expect(findJoin([EMAILS], 'SSOT__CONTACTPOINTEMAIL__DLM.ssot__EmailAddress__c')).toBe(EMAILS);
+    });
+
+    it('leaves the queried object\'s own fields alone', () => {
+      expect(findJoin([EMAILS], 'ssot__FirstName__c')).toBeUndefined();
+      // A field that only starts with the object name is not a joined column
+      expect(findJoin([ACCOUNTS], 'AccountId__c')).toBeUndefined();
+      expect(isJoinedField([ACCOUNTS], 'Account.Name')).toBe(true);
+      expect(isJoinedField([ACCOUNTS], 'AccountId__c')).toBe(false);
+    });
+
+    it.each([
+      [null, 'Account.Name'],
+      [undefined, 'Account.Name'],
+      [[], 'Account.Name'],
+      [[ACCOUNTS], null],
+      [[ACCOUNTS], undefined],
+      [[ACCOUNTS], '']
+    ])('finds nothing for joins %p and field %p', (joins, fieldName) => {
+      expect(isJoinedField(joins, fieldName)).toBe(false);
+    });
+  });
+
+  describe('buildJoinState', () => {
+    it('gives each join the columns it adds and drops unread joins', () => {
+      const fieldNames = [
+        'ssot__FirstName__c',
+        'ssot__ContactPointEmail__dlm.ssot__EmailAddress__c',
+        'ssot__ContactPointEmail__dlm.ssot__EmailAddressStatus__c'
+      ];
+
+      expect(buildJoinState([EMAILS, PHONES], fieldNames)).toEqual([
+        {
+          objectApiName: EMAILS.objectApiName,
+          primaryField: EMAILS.primaryField,
+          joinField: EMAILS.joinField,
+          fields: fieldNames.slice(1)
+        }
+      ]);
+    });
+
+    it('is empty without joins or fields', () => {
+      expect(buildJoinState(null, ['Name'])).toEqual([]);
+      expect(buildJoinState([EMAILS], [])).toEqual([]);
+    });
+  });
+
+  describe('getJoinKeyFields', () => {
+    it('lists each key field once', () => {
+      const joinState = buildJoinState(
+        [EMAILS, PHONES, ACCOUNTS],
+        [
+          'ssot__ContactPointEmail__dlm.ssot__EmailAddress__c',
+          'ssot__ContactPointPhone__dlm.ssot__TelephoneNumber__c',
+          'Account.Name'
+        ]
+      );
+
+      expect(getJoinKeyFields(joinState)).toEqual(['ssot__Id__c', 'AccountId__c']);
+      expect(getJoinKeyFields([])).toEqual([]);
+    });
+  });
+
+  describe('describeJoin', () => {
+    it('describes the join by label, or by object without one', () => {
+      expect(describeJoin(EMAILS)).toBe('Emails on ssot__Id__c = ssot__PartyId__c');
+      expect(describeJoin(ACCOUNTS)).toBe('Account on AccountId__c = Id');
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Joined objects configured in config.joins. Each join is
+ * { objectApiName, label, primaryField, joinField }: a row of the queried
+ * object shows the fields of the first objectApiName record whose joinField
+ * equals the row's primaryField, in columns named Object.Field, e.g.
+ * ssot__ContactPointEmail__dlm.ssot__EmailAddress__c.
+ *
+ * Joined columns are read after the query, so data360Table sorts and
+ * searches them in the browser and they cannot be filtered or grouped.
+ *
+ * Data360ConfigService.readJoins checks the same shape and JoinSpec.stitch
+ * fills the columns. Keep the two in step.
+ */
+
+/**
+ * The join whose columns include fieldName, or undefined for the queried
+ * object's own fields.
+ */
+export function findJoin(joins, fieldName) {
+  const name = String(fieldName || '').toLowerCase();
+  return (joins || []).find((join) => name.startsWith(`${join.objectApiName.toLowerCase()}.`));
+}
+
+export function isJoinedField(joins, fieldName) {
+  return Boolean(findJoin(joins, fieldName));
+}
+
+/**
+ * queryState.joins for a query reading fieldNames: each join with the
+ * columns it adds, leaving out joins the query reads nothing from.
+ */
+export function buildJoinState(joins, fieldNames) {
+  return (joins || [])
+    .map((join) => ({
+      objectApiName: join.objectApiName,
+      primaryField: join.primaryField,
+      joinField: join.joinField,
+      fields: fieldNames.filter((fieldName) => findJoin([join], fieldName))
+    }))
+    .filter((join) => join.fields.length > 0);
+}
+
+/**
+ * Join key fields the query must select so the service can match rows.
+ */
+export function getJoinKeyFields(joinState) {
+  return [...new Set(joinState.map((join) => join.primaryField))];
+}
+
+/**
+ * A join as one line of text, e.g. "Emails on ssot__Id__c = ssot__PartyId__c".
+ */
+export function describeJoin(join) {
+  return `${join.label || join.objectApiName} on ${join.primaryField} = ${join.joinField}`;
+}
@@ -0,0 +1,178 @@
+import {
+  buildActionUrl,
+  buildBulkFlowInputs,
+  buildFlowInputs,
+  formatFlowInputs,
+  getRowActionFields,
+  isRecordId,
+  isSafeUrl,
+  parseFlowInputs
+} from 'c/data360RowActions';
+
+const FLOW_ACTION = {
+  name: 'escalate',
+  type: 'flow',
+  flowApiName: 'Escalate_Account',
+  flowInputs: [
+    { name: 'recordId', fieldName: 'Id' },
+    { name: 'revenue', fieldName: 'AnnualRevenue' },
+    { name: 'isActive', fieldName: 'IsActive__c' },
+    { name: 'since', fieldName: 'CustomerSince__c' }
+  ]
+};
+// Built up so the linter does not take the test data for a script URL
+const SCRIPT_URL = ['javascript', 'alert(1)'].join(':');
+const COLUMN_TYPES = { Id: 'text', AnnualRevenue: 'currency', IsActive__c: 'boolean', CustomerSince__c: 'date-local' };
+
+describe('c-data360-row-actions', () => {
+  describe('getRowActionFields', () => {
+    it('reads the Id field of navigate actions', () => {
+      expect(getRowActionFields({ type: 'navigate', idField: 'AccountId__c' })).toEqual(['AccountId__c']);
+      expect(getRowActionFields({ type: 'navigate' })).toEqual([]);
+    });
+
+    it('reads the tokens of url actions', () => {
+      const action = { type: 'url', urlTemplate: 'https://example.com/{Name}?site={Site__c}&id={Name}' };
+
+      expect(getRowActionFields(action)).toEqual(['Name', 'Site__c', 'Name']);
+      expect(getRowActionFields({ type: 'url' })).toEqual([]);
+    });
+
+    it('reads the mapped fields of flow actions, skipping unmapped inputs', () => {
+      const action = {
+        type: 'flow',
+        flowInputs: [
+          { name: 'recordId', fieldName: 'Id' },
+          { name: 'note', fieldName: '' }
+        ]
+      };
+
+      expect(getRowActionFields(action)).toEqual(['Id']);
+      expect(getRowActionFields({ type: 'flow' })).toEqual([]);
+    });
+
+    it('reads nothing for event actions', () => {
+      expect(getRowActionFields({ type: 'event', eventName: 'open' })).toEqual([]);
+    });
+  });
+
+  describe('isSafeUrl', () => {
+    it.each([['https://example.com'], ['http://example.com/a'], ['/lightning/r/Account/001/view']])(
+      'accepts %s',
+      (url) => {
+        expect(isSafeUrl(url)).toBe(true);
+      }
+    );
+
+    it.each([[SCRIPT_URL], ['//evil.example.com'], ['example.com'], [''], [null], [undefined]])(
+      'rejects %p',
+      (url) => {
+        expect(isSafeUrl(url)).toBe(false);
+      }
+    );
+  });
+
+  describe('isRecordId', () => {
+    it.each([
+      ['001000000000001', true],
+      ['001000000000001AAA', true],
+      ['0010000000000', false],
+      ['001000000000001AA', false],
+      ['001-00000000001', false],
+      ['', false],
+      [null, false]
+    ])('%p is %p', (value, expected) => {
+      expect(isRecordId(value)).toBe(expected);
+    });
+  });
+
+  describe('buildActionUrl', () => {
+    it('fills tokens with URL-encoded row values', () => {
+      const url = buildActionUrl('https://example.com/search?q={Name}&site={Site}', { Name: 'A&B Co', Site: 'HQ/1' });
+
+      expect(url).toBe('https://example.com/search?q=A%26B%20Co&site=HQ%2F1');
+    });
+
+    it('leaves tokens of empty values blank', () => {
+      expect(buildActionUrl('/apex/View?id={Id}&name={Name}', { Id: null })).toBe('/apex/View?id=&name=');
+    });
+
+    it('keeps zero and false values', () => {
+      expect(buildActionUrl('/p?n={Count}&f={Flag}', { Count: 0, Flag: false })).toBe('/p?n=0&f=false');
+    });
+
+    it('refuses unsafe templates', () => {
+      expect(buildActionUrl(`${SCRIPT_URL}//{Name}`, { Name: 'x' })).toBeNull();
+      expect(buildActionUrl('', {})).toBeNull();
+    });
+  });
+
+  describe('buildFlowInputs', () => {
+    it('types inputs from the column types', () => {
+      const row = { Id: '001000000000001AAA', AnnualRevenue: 5000, IsActive__c: false, CustomerSince__c: '2020-01-01' };
+
+      expect(buildFlowInputs(FLOW_ACTION, row, COLUMN_TYPES)).toEqual([
+        { name: 'recordId', type: 'String', value: '001000000000001AAA' },
+        { name: 'revenue', type: 'Number', value: 5000 },
+        { name: 'isActive', type: 'Boolean', value: false },
+        { name: 'since', type: 'Date', value: '2020-01-01' }
+      ]);
+    });
+
+    it('leaves out empty values and inputs without a name', () => {
+      const action = { flowInputs: [...FLOW_ACTION.flowInputs, { name: '', fieldName: 'Name' }] };
+      const row = { Id: '001000000000001AAA', AnnualRevenue: null, Name: 'Acme' };
+
+      expect(buildFlowInputs(action, row, COLUMN_TYPES)).toEqual([
+        { name: 'recordId', type: 'String', value: '001000000000001AAA' }
+      ]);
+    });
+
+    it('returns no inputs for actions without any', () => {
+      expect(buildFlowInputs({ type: 'flow' }, { Id: 'x' }, {})).toEqual([]);
+    });
+  });
+
+  describe('buildBulkFlowInputs', () => {
+    it('collects the values of each mapped field across the rows, skipping empty ones', () => {
+      const rows = [
+        { Id: '001000000000001AAA', AnnualRevenue: 10 },
+        { Id: '001000000000002AAA', AnnualRevenue: null },
+        { Id: '001000000000003AAA', AnnualRevenue: 0 }
+      ];
+      const action = { flowInputs: FLOW_ACTION.flowInputs.slice(0, 2) };
+
+      expect(buildBulkFlowInputs(action, rows, COLUMN_TYPES)).toEqual([
+        { name: 'recordId', type: 'String', value: ['001000000000001AAA', '001000000000002AAA', '001000000000003AAA'] },
+        { name: 'revenue', type: 'Number', value: [10, 0] }
+      ]);
+    });
+
+    it('passes empty collections when no row has a value', () => {
+      expect(buildBulkFlowInputs({ flowInputs: [{ name: 'ids', fieldName: 'Id' }] }, [{}, {}], {})).toEqual([
+        { name: 'ids', type: 'String', value: [] }
+      ]);
+    });
+  });
+
+  describe('flow input text', () => {
+    it('round-trips the configurator format', () => {
+      const text = 'recordId=Id, revenue=AnnualRevenue';
+
+      expect(parseFlowInputs(text)).toEqual([
+        { name: 'recordId', fieldName: 'Id' },
+        { name: 'revenue', fieldName: 'AnnualRevenue' }
+      ]);
+      expect(formatFlowInputs(parseFlowInputs(text))).toBe(text);
+    });
+
+    it('keeps inputs without a field and drops empty pairs', () => {
+      expect(parseFlowInputs(' note , ,=Name')).toEqual([{ name: 'note', fieldName: '' }]);
+    });
+
+    it.each([[''], [null], [undefined]])('treats %p as no inputs', (value) => {
+      expect(parseFlowInputs(value)).toEqual([]);
+      expect(formatFlowInputs(value)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Row actions configured in config.rowActions. Each action is
+ * { name, label, type, idField, urlTemplate, flowApiName, flowInputs, eventName }
+ * and uses only the keys of its type:
+ *   navigate - opens the CRM record whose Id is in idField
+ *   url      - opens urlTemplate with {FieldApiName} tokens replaced by row values
+ *   flow     - runs the screen flow flowApiName with flowInputs [{ name, fieldName }]
+ *   event    - fires a `rowaction` event carrying eventName for the host component
+ *
+ * Bulk actions (config.bulkActions) have the same shape and run on the
+ * selected rows: flow inputs receive a collection of the field's values and
+ * event fires `rowselection` with the rows.
+ *
+ * Data360ConfigService.rowActionFields adds the same fields to the runtime
+ * query. Keep the two in step.
+ */
+
+export const ROW_ACTION_TYPES = [
+  { label: 'Open Record', value: 'navigate' },
+  { label: 'Open URL', value: 'url' },
+  { label: 'Run Screen Flow', value: 'flow' },
+  { label: 'Fire Event', value: 'event' }
+];
+
+export const BULK_ACTION_TYPES = [
+  { label: 'Run Screen Flow', value: 'flow' },
+  { label: 'Fire Event', value: 'event' }
+];
+
+const URL_TOKEN_PATTERN = /\{([a-zA-Z][a-zA-Z0-9_]*)\}/g;
+// Absolute http(s) URLs or paths on this org; never javascript: or //host
+const SAFE_URL_PATTERN = /^(https?:\/\/|\/(?!\/))/i;
+const RECORD_ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+
+// lightning-flow input variable type for each datatable column type
+const FLOW_INPUT_TYPES = {
+  number: 'Number',
+  currency: 'Number',
+  'percent-fixed': 'Number',
+  boolean: 'Boolean',
+  'date-local': 'Date',
+  date: 'DateTime'
+};
+
+/**
+ * Field API names an action reads from the row.
+ */
+export function getRowActionFields(action) {
+  switch (action.type) {
+    case 'navigate':
+      return action.idField ? [action.idField] : [];
+    case 'url':
+      return Array.from((action.urlTemplate || '').matchAll(URL_TOKEN_PATTERN), (match) => match[1]);
+    case 'flow':
+      return (action.flowInputs || []).map((input) => input.fieldName).filter((fieldName) => fieldName);
+    default:
+      return [];
+  }
+}
+
+export function isSafeUrl(url) {
+  return SAFE_URL_PATTERN.test(url || '');
+}
+
+export function isRecordId(value) {
+  return RECORD_ID_PATTERN.test(value || '');
+}
+
+/**
+ * Fills a URL template's {FieldApiName} tokens with URL-encoded row values.
+ * Returns null when the template is not an http(s) URL or an org path.
+ */
+export function buildActionUrl(urlTemplate, row) {
+  if (!isSafeUrl(urlTemplate)) {
+    return null;
+  }
+  return urlTemplate.replace(URL_TOKEN_PATTERN, (token, fieldName) => {
+    const value = row[fieldName];
+    return value === undefined || value === null ? '' : encodeURIComponent(value);
+  });
+}
+
+/**
+ * lightning-flow input variables for a flow action, typed from the
+ * row's columns ({ fieldName: datatable type }). Empty values are left
+ * out so the flow keeps its defaults.
+ */
+export function buildFlowInputs(action, row, columnTypes) {
+  return (action.flowInputs || [])
+    .filter((input) => input.name && row[input.fieldName] !== undefined && row[input.fieldName] !== null)
+    .map((input) => ({
+      name: input.name,
+      type: FLOW_INPUT_TYPES[columnTypes[input.fieldName]] || 'String',
+      value: row[input.fieldName]
+    }));
+}
+
+/**
+ * lightning-flow input variables for a bulk flow action: each input is a
+ * collection of the mapped field's values across the selected rows.
+ */
+export function buildBulkFlowInputs(action, rows, columnTypes) {
+  return (action.flowInputs || [])
+    .filter((input) => input.name)
+    .map((input) => ({
+      name: input.name,
+      type: FLOW_INPUT_TYPES[columnTypes[input.fieldName]] || 'String',
+      value: rows.map((row) => row[input.fieldName]).filter((value) => value !== undefined && value !== null)
+    }));
+}
+
+/**
+ * Flow inputs as the configurator edits them: "recordId=AccountId__c, name=Name".
+ */
+export function formatFlowInputs(flowInputs) {
+  return (flowInputs || []).map((input) => `${input.name}=${input.fieldName}`).join(', ');
+}
+
+export function parseFlowInputs(text) {
+  return (text || '')
+    .split(',')
+    .map((pair) => pair.split('=').map((part) => part.trim()))
+    .filter(([name]) => name)
+    .map(([name, fieldName]) => ({ name, fieldName: fieldName || '' }));
+}
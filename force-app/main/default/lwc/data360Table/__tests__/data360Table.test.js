@@ -0,0 +1,568 @@
+import { createElement } from 'lwc';
+import Data360Table from 'c/data360Table';
+import getConfigByName from '@salesforce/apex/Data360ConfigService.getConfigByName';
+import queryTable from '@salesforce/apex/Data360ConfigService.queryTable';
+import { isEmpEnabled, onError, subscribe, unsubscribe } from 'lightning/empApi';
+import { getRecord } from 'lightning/uiRecordApi';
+
+jest.mock('@salesforce/apex/Data360ConfigService.getConfigByName', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/Data360ConfigService.queryTable', () => ({ default: jest.fn() }), { virtual: true });
+// The stub event carries no attribute; this one names it, as the flow runtime sees it
+jest.mock('lightning/flowSupport', () => ({
+  FlowAttributeChangeEvent: class extends CustomEvent {
+    constructor(attributeName, attributeValue) {
+      const detail = { attributeName, attributeValue };
+      super('lightning__flowattributechange', { bubbles: true, composed: true, detail });
+    }
+  }
+}));
+
+const CONFIG_ID = 'a01000000000001AAA';
+const BASE_CONFIG = {
+  objectApiName: 'Account',
+  fields: [
+    { fieldName: 'Id', label: 'Id', visible: false },
+    { fieldName: 'Name', label: 'Account Name', visible: true }
+  ],
+  limit: 100
+};
+const COLUMNS = [
+  { fieldName: 'Id', label: 'Account ID', type: 'text' },
+  { fieldName: 'Name', label: 'Account Name', type: 'text' }
+];
+
+function buildRows(count, offset = 0) {
+  return Array.from({ length: count }, (_, idx) => ({
+    Id: `001${String(offset + idx).padStart(15, '0')}`,
+    Name: `Account ${offset + idx}`
+  }));
+}
+
+function buildResult(rows, metadata = {}) {
+  return { objectApiName: 'Account', tableColumns: COLUMNS, tableData: rows, ...metadata };
+}
+
+// Settles the awaited Apex calls and the renders after them; works under fake timers too
+function flushPromises() {
+  let promise = Promise.resolve();
+  for (let i = 0; i < 10; i++) {
+    promise = promise.then(() => undefined);
+  }
+  return promise;
+}
+
+async function createTable(config, props = {}) {
+  getConfigByName.mockResolvedValue({
+    Id: CONFIG_ID,
+    Config_JSON__c: JSON.stringify({ ...BASE_CONFIG, ...config })
+  });
+  const element = createElement('c-data360-table', { is: Data360Table });
+  Object.assign(element, { configName: 'Accounts', ...props });
+  document.body.appendChild(element);
+  await flushPromises();
+  return element;
+}
+
+function getDatatable(element) {
+  return element.shadowRoot.querySelector('lightning-datatable');
+}
+
+function getButton(element, label) {
+  return [...element.shadowRoot.querySelectorAll('lightning-button')].find((button) => button.label === label);
+}
+
+function getPageLabel(element) {
+  return element.shadowRoot.querySelector('.page-navigation span').textContent;
+}
+
+describe('c-data360-table', () => {
+  let isHidden;
+
+  beforeEach(() => {
+    isHidden = false;
+    jest.spyOn(document, 'hidden', 'get').mockImplementation(() => isHidden);
+    queryTable.mockResolvedValue(buildResult(buildRows(2)));
+  });
+
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('paging', () => {
+    const PAGED_CONFIG = { paginationMode: 'pages', pageSize: 2 };
+
+    function mockPages(totalCount) {
+      queryTable.mockImplementation(({ uiState }) => {
+        const pageOffset = uiState.pageOffset || 0;
+        const rows = buildRows(Math.max(Math.min(2, totalCount - pageOffset), 0), pageOffset);
+        return Promise.resolve(buildResult(rows, { pageOffset, totalCount, hasMore: pageOffset + 2 < totalCount }));
+      });
+    }
+
+    it('loads the first page and steps through the rest', async () => {
+      mockPages(5);
+      const element = await createTable(PAGED_CONFIG);
+
+      expect(queryTable.mock.calls[0][0].uiState.pageOffset).toBe(0);
+      expect(getPageLabel(element)).toBe('Page 1 of 3');
+      expect(getButton(element, 'Previous').disabled).toBe(true);
+
+      getButton(element, 'Next').click();
+      await flushPromises();
+      expect(queryTable.mock.calls[1][0].uiState.pageOffset).toBe(2);
+      expect(getPageLabel(element)).toBe('Page 2 of 3');
+      expect(getDatatable(element).data.map((row) => row.Name)).toEqual(['Account 2', 'Account 3']);
+
+      getButton(element, 'Next').click();
+      await flushPromises();
+      expect(getPageLabel(element)).toBe('Page 3 of 3');
+      expect(getDatatable(element).data).toHaveLength(1);
+      expect(getButton(element, 'Next').disabled).toBe(true);
+
+      getButton(element, 'Previous').click();
+      await flushPromises();
+      expect(queryTable.mock.calls[3][0].uiState.pageOffset).toBe(2);
+      expect(getPageLabel(element)).toBe('Page 2 of 3');
+    });
+
+    it('hides the page buttons when everything fits on one page', async () => {
+      mockPages(2);
+      const element = await createTable(PAGED_CONFIG);
+
+      expect(getDatatable(element).data).toHaveLength(2);
+      expect(element.shadowRoot.querySelector('.page-navigation')).toBeNull();
+    });
+
+    it('shows the page number alone without a total count', async () => {
+      queryTable.mockResolvedValue(buildResult(buildRows(2), { pageOffset: 0, hasMore: true }));
+      const element = await createTable(PAGED_CONFIG);
+
+      expect(getPageLabel(element)).toBe('Page 1');
+    });
+
+    it('shows the empty state when the first page has no rows', async () => {
+      mockPages(0);
+      const element = await createTable(PAGED_CONFIG);
+
+      expect(getDatatable(element)).toBeNull();
+      expect(element.shadowRoot.textContent).toContain('No records found.');
+    });
+
+    it('shows the error when a page fails to load', async () => {
+      mockPages(5);
+      const element = await createTable(PAGED_CONFIG);
+      queryTable.mockRejectedValueOnce({ body: { message: 'Query timed out' } });
+
+      getButton(element, 'Next').click();
+      await flushPromises();
+
+      expect(element.shadowRoot.querySelector('.slds-text-color_error').textContent).toContain('Query timed out');
+      expect(getDatatable(element)).toBeNull();
+    });
+
+    it('appends rows as an infinite table scrolls', async () => {
+      mockPages(3);
+      const element = await createTable({ paginationMode: 'infinite', pageSize: 2 });
+      const datatable = getDatatable(element);
+      expect(datatable.enableInfiniteLoading).toBe(true);
+
+      datatable.dispatchEvent(new CustomEvent('loadmore'));
+      await flushPromises();
+
+      expect(queryTable.mock.calls[1][0].uiState.pageOffset).toBe(2);
+      expect(getDatatable(element).data.map((row) => row.Name)).toEqual(['Account 0', 'Account 1', 'Account 2']);
+      expect(getDatatable(element).enableInfiniteLoading).toBe(false);
+    });
+
+    it('loads every row up to the limit without paging', async () => {
+      const element = await createTable({});
+
+      expect(queryTable.mock.calls[0][0].uiState.pageOffset).toBeUndefined();
+      expect(element.shadowRoot.querySelector('.page-navigation')).toBeNull();
+    });
+  });
+
+  describe('selection', () => {
+    const SELECTION_CONFIG = {
+      enableSelection: true,
+      bulkActions: [{ name: 'notify', label: 'Notify Owners', type: 'event', eventName: 'notifyOwners' }]
+    };
+
+    function selectRows(element, rows) {
+      getDatatable(element).dispatchEvent(new CustomEvent('rowselection', { detail: { selectedRows: rows } }));
+    }
+
+    function getSelectionLabel(element) {
+      return getButton(element, 'Clear Selection').parentElement.querySelector('span').textContent;
+    }
+
+    it('hides the checkbox column unless the config enables selection', async () => {
+      const element = await createTable({});
+
+      expect(getDatatable(element).hideCheckboxColumn).toBe(true);
+      expect(getButton(element, 'Clear Selection')).toBeUndefined();
+    });
+
+    it('tracks the selected rows without the row keys', async () => {
+      const element = await createTable(SELECTION_CONFIG);
+      const rows = getDatatable(element).data;
+      expect(getDatatable(element).hideCheckboxColumn).toBe(false);
+      expect(getSelectionLabel(element)).toBe('0 rows selected');
+      expect(getButton(element, 'Notify Owners').disabled).toBe(true);
+
+      selectRows(element, [rows[1]]);
+      await flushPromises();
+
+      expect(getSelectionLabel(element)).toBe('1 row selected');
+      expect(element.selectedCount).toBe(1);
+      expect(element.getSelectedRows()).toEqual([buildRows(2)[1]]);
+      expect(element.firstSelectedRowId).toBe(rows[1].Id);
+      expect(getDatatable(element).selectedRows).toEqual([rows[1].Id]);
+
+      getButton(element, 'Clear Selection').click();
+      await flushPromises();
+      expect(element.selectedCount).toBe(0);
+      expect(element.firstSelectedRow).toBeNull();
+    });
+
+    it('keeps rows selected on other pages', async () => {
+      queryTable.mockImplementation(({ uiState }) => {
+        const pageOffset = uiState.pageOffset || 0;
+        const metadata = { pageOffset, totalCount: 4, hasMore: pageOffset === 0 };
+        return Promise.resolve(buildResult(buildRows(2, pageOffset), metadata));
+      });
+      const element = await createTable({ ...SELECTION_CONFIG, paginationMode: 'pages', pageSize: 2 });
+      selectRows(element, [getDatatable(element).data[0]]);
+
+      getButton(element, 'Next').click();
+      await flushPromises();
+      selectRows(element, [getDatatable(element).data[1]]);
+      await flushPromises();
+
+      expect(element.getSelectedRows().map((row) => row.Name)).toEqual(['Account 0', 'Account 3']);
+
+      // Deselecting on this page leaves the first page's row alone
+      selectRows(element, []);
+      expect(element.getSelectedRows().map((row) => row.Name)).toEqual(['Account 0']);
+    });
+
+    it('keeps one row with single selection', async () => {
+      const element = await createTable(SELECTION_CONFIG, { selectionMode: 'single' });
+      const rows = getDatatable(element).data;
+      expect(getDatatable(element).maxRowSelection).toBe(1);
+
+      selectRows(element, [rows[0]]);
+      selectRows(element, [rows[1]]);
+
+      expect(element.getSelectedRows()).toEqual([buildRows(2)[1]]);
+    });
+
+    it('lets the flow selection mode turn selection off', async () => {
+      const element = await createTable(SELECTION_CONFIG, { selectionMode: 'none' });
+
+      expect(getDatatable(element).hideCheckboxColumn).toBe(true);
+    });
+
+    it('lets the flow selection mode turn selection on without the config bulk actions', async () => {
+      const element = await createTable({ bulkActions: SELECTION_CONFIG.bulkActions }, { selectionMode: 'multiple' });
+
+      expect(getDatatable(element).hideCheckboxColumn).toBe(false);
+      expect(getDatatable(element).maxRowSelection).toBeUndefined();
+      expect(getButton(element, 'Notify Owners')).toBeUndefined();
+    });
+
+    it('keys rows without an Id by their values, so selection outlives a reload', async () => {
+      const columns = [COLUMNS[1]];
+      queryTable.mockResolvedValue({ objectApiName: 'Account', tableColumns: columns, tableData: [{ Name: 'Acme' }] });
+      const element = await createTable({ ...SELECTION_CONFIG, showRefresh: true });
+      selectRows(element, getDatatable(element).data);
+
+      element.shadowRoot.querySelector('lightning-button-icon').click();
+      await flushPromises();
+
+      expect(queryTable).toHaveBeenCalledTimes(2);
+      expect(getDatatable(element).selectedRows).toEqual([getDatatable(element).data[0]._rowKey]);
+      expect(element.getSelectedRows()).toEqual([{ Name: 'Acme' }]);
+    });
+
+    it('fires the bulk action event with the selected rows', async () => {
+      const element = await createTable(SELECTION_CONFIG);
+      const handler = jest.fn();
+      element.addEventListener('rowselection', handler);
+      selectRows(element, getDatatable(element).data);
+      await flushPromises();
+
+      getButton(element, 'Notify Owners').click();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].detail).toEqual({ action: 'notifyOwners', rows: buildRows(2) });
+    });
+
+    it('tells a flow about selection changes and blocks Next while Require Selection is on', async () => {
+      const element = await createTable(SELECTION_CONFIG, { availableActions: ['NEXT'], requireSelection: true });
+      const handler = jest.fn();
+      element.addEventListener('lightning__flowattributechange', handler);
+
+      expect(element.validate()).toEqual({ isValid: false, errorMessage: 'Select at least one row to continue.' });
+      selectRows(element, [getDatatable(element).data[0]]);
+
+      expect(handler).toHaveBeenCalledTimes(4);
+      expect(element.validate()).toEqual({ isValid: true });
+    });
+
+    it('lets Next through without Require Selection', async () => {
+      const element = await createTable(SELECTION_CONFIG, { availableActions: ['NEXT'] });
+
+      expect(element.validate()).toEqual({ isValid: true });
+    });
+
+    it('hands the flow the selected rows as records of the queried object', async () => {
+      const row = {
+        Id: '001000000000000001',
+        Name: 'Acme',
+        NumberOfEmployees: 10,
+        AccountNumber: 'A-1',
+        'Owner.Name': 'Ada Lovelace',
+        'Contact.Email': 'ada@example.com'
+      };
+      queryTable.mockResolvedValue(buildResult([row]));
+      const element = await createTable(
+        {
+          ...SELECTION_CONFIG,
+          joins: [{ objectApiName: 'Contact', label: 'Contact', primaryField: 'Id', joinField: 'AccountId' }],
+          fields: [
+            ...BASE_CONFIG.fields,
+            {
+              fieldName: 'calc_1',
+              label: 'Double',
+              visible: true,
+              calculated: true,
+              expression: 'NumberOfEmployees * 2',
+              resultType: 'number'
+            }
+          ]
+        },
+        { availableActions: ['NEXT'], rowIdField: 'AccountNumber' }
+      );
+      const handler = jest.fn();
+      element.addEventListener('lightning__flowattributechange', handler);
+      selectRows(element, getDatatable(element).data);
+
+      const record = { Id: row.Id, Name: 'Acme', NumberOfEmployees: 10, AccountNumber: 'A-1' };
+      expect(element.selectedRows).toEqual([record]);
+      expect(element.selectedCount).toBe(1);
+      expect(element.firstSelectedRow).toEqual(record);
+      expect(element.firstSelectedRowId).toBe('A-1');
+      // Other listeners still get the displayed columns
+      expect(element.getSelectedRows()[0]).toMatchObject({ 'Owner.Name': 'Ada Lovelace', calc_1: 20 });
+      expect(handler.mock.calls.map(([event]) => event.detail)).toEqual([
+        { attributeName: 'selectedRows', attributeValue: [record] },
+        { attributeName: 'selectedCount', attributeValue: 1 },
+        { attributeName: 'firstSelectedRow', attributeValue: record },
+        { attributeName: 'firstSelectedRowId', attributeValue: 'A-1' }
+      ]);
+    });
+
+    it('only tells a flow about selection changes inside a flow', async () => {
+      const element = await createTable(SELECTION_CONFIG);
+      const handler = jest.fn();
+      element.addEventListener('lightning__flowattributechange', handler);
+      selectRows(element, [getDatatable(element).data[0]]);
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(element.firstSelectedRowId).toBe(buildRows(1)[0].Id);
+    });
+  });
+
+  describe('flow merge values', () => {
+    const RECORD_CONFIG = { whereClause: 'WHERE Industry = $record.Industry', flowMergeValues: true };
+
+    function getError(element) {
+      return element.shadowRoot.querySelector('.slds-text-color_error').textContent;
+    }
+
+    it('sends the parsed Merge Values when the config accepts them', async () => {
+      await createTable(RECORD_CONFIG, { mergeValues: '{"Industry": "Banking"}' });
+
+      expect(queryTable).toHaveBeenCalledTimes(1);
+      expect(queryTable.mock.calls[0][0].context.values).toEqual({ Industry: 'Banking' });
+    });
+
+    it.each(['{Industry: Banking}', '["Banking"]', '"Banking"'])('rejects Merge Values %s', async (mergeValues) => {
+      const element = await createTable(RECORD_CONFIG, { mergeValues });
+
+      expect(getError(element)).toContain('Merge Values must be a JSON object');
+      expect(queryTable).not.toHaveBeenCalled();
+    });
+
+    it('asks for Merge Values without a record', async () => {
+      const element = await createTable(RECORD_CONFIG);
+
+      expect(getError(element)).toContain('require a Record Page, or Merge Values in a flow');
+      expect(queryTable).not.toHaveBeenCalled();
+    });
+
+    it('ignores Merge Values unless the config accepts them', async () => {
+      const element = await createTable(
+        { ...RECORD_CONFIG, flowMergeValues: false },
+        { mergeValues: '{"Industry": "Banking"}' }
+      );
+
+      expect(getError(element)).toContain('Accept Flow Merge Values');
+      expect(queryTable).not.toHaveBeenCalled();
+    });
+
+    it('leaves Merge Values out on a record page', async () => {
+      await createTable(RECORD_CONFIG, { recordId: '001000000000000001', mergeValues: '{"Industry": "Banking"}' });
+
+      expect(queryTable.mock.calls[0][0].context).toEqual({ recordId: '001000000000000001', objectApiName: undefined });
+    });
+  });
+
+  describe('auto refresh', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    function setHidden(hidden) {
+      isHidden = hidden;
+      document.dispatchEvent(new CustomEvent('visibilitychange'));
+    }
+
+    it('does not listen for anything without pollSeconds or an event channel', async () => {
+      const addListener = jest.spyOn(document, 'addEventListener');
+      await createTable({});
+
+      expect(addListener).not.toHaveBeenCalledWith('visibilitychange', expect.any(Function));
+      expect(onError).not.toHaveBeenCalled();
+      expect(subscribe).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(3600 * 1000);
+      expect(queryTable).toHaveBeenCalledTimes(1);
+    });
+
+    it('polls every pollSeconds, clamped to 30, skipping the server cache', async () => {
+      await createTable({ pollSeconds: 10 });
+      expect(queryTable).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(29999);
+      expect(queryTable).toHaveBeenCalledTimes(1);
+      jest.advanceTimersByTime(1);
+      await flushPromises();
+
+      expect(queryTable).toHaveBeenCalledTimes(2);
+      expect(queryTable.mock.calls[1][0].uiState.refresh).toBe(true);
+    });
+
+    it('keeps the rows on screen while a poll runs', async () => {
+      const element = await createTable({ pollSeconds: 30 });
+      queryTable.mockReturnValue(new Promise(() => {}));
+
+      jest.advanceTimersByTime(30000);
+      await flushPromises();
+
+      expect(getDatatable(element).data).toHaveLength(2);
+      expect(element.shadowRoot.querySelector('lightning-spinner')).toBeNull();
+    });
+
+    it('backs off after failed polls and resets after a success', async () => {
+      await createTable({ pollSeconds: 30 });
+      queryTable.mockRejectedValueOnce({ body: { message: 'Timed out' } });
+
+      jest.advanceTimersByTime(30000);
+      await flushPromises();
+      expect(queryTable).toHaveBeenCalledTimes(2);
+
+      jest.advanceTimersByTime(30000);
+      expect(queryTable).toHaveBeenCalledTimes(2);
+      jest.advanceTimersByTime(30000);
+      await flushPromises();
+      expect(queryTable).toHaveBeenCalledTimes(3);
+
+      jest.advanceTimersByTime(30000);
+      await flushPromises();
+      expect(queryTable).toHaveBeenCalledTimes(4);
+    });
+
+    it('waits while the tab is hidden and refreshes once when it is shown', async () => {
+      await createTable({ pollSeconds: 30 });
+
+      setHidden(true);
+      jest.advanceTimersByTime(120000);
+      expect(queryTable).toHaveBeenCalledTimes(1);
+
+      setHidden(false);
+      await flushPromises();
+      expect(queryTable).toHaveBeenCalledTimes(2);
+    });
+
+    it('refreshes when the record is saved, after the tab is shown if it is hidden', async () => {
+      await createTable({}, { recordId: '001000000000001AAA', objectApiName: 'Account' });
+      getRecord.emit({ systemModstamp: '2026-01-01T00:00:00.000Z' });
+      expect(queryTable).toHaveBeenCalledTimes(1);
+
+      getRecord.emit({ systemModstamp: '2026-01-01T00:05:00.000Z' });
+      await flushPromises();
+      expect(queryTable).toHaveBeenCalledTimes(2);
+
+      isHidden = true;
+      getRecord.emit({ systemModstamp: '2026-01-01T00:10:00.000Z' });
+      await flushPromises();
+      expect(queryTable).toHaveBeenCalledTimes(2);
+      setHidden(false);
+      await flushPromises();
+      expect(queryTable).toHaveBeenCalledTimes(3);
+    });
+
+    it('stops polling when removed from the page', async () => {
+      const element = await createTable({ pollSeconds: 30 });
+      const removeListener = jest.spyOn(document, 'removeEventListener');
+
+      document.body.removeChild(element);
+      jest.advanceTimersByTime(60000);
+
+      expect(queryTable).toHaveBeenCalledTimes(1);
+      expect(removeListener).toHaveBeenCalledWith('visibilitychange', expect.any(Function));
+    });
+
+    it('ignores event channels with invalid names', async () => {
+      await createTable({ eventChannel: '/topic/Accounts' });
+
+      expect(subscribe).not.toHaveBeenCalled();
+    });
+
+    // empApi keeps its onError callbacks for the page's lifetime, so this is the only test that subscribes
+    it('shares one empApi error handler between the tables on an event channel', async () => {
+      isEmpEnabled.mockResolvedValue(true);
+      const eventChannel = '/data/AccountChangeEvent';
+      const first = await createTable({ eventChannel });
+      await createTable({ eventChannel });
+
+      expect(subscribe).toHaveBeenCalledTimes(2);
+      expect(subscribe).toHaveBeenCalledWith(eventChannel, -1, expect.any(Function));
+      expect(onError).toHaveBeenCalledTimes(1);
+
+      // Events refresh after a short delay
+      subscribe.mock.calls[0][2]({});
+      jest.advanceTimersByTime(2000);
+      await flushPromises();
+      expect(queryTable).toHaveBeenCalledTimes(3);
+
+      // An error renews the subscriptions of the tables still on the page
+      document.body.removeChild(first);
+      expect(unsubscribe).toHaveBeenCalledTimes(1);
+      onError.mock.calls[0][0]({ error: 'Connection lost' });
+      expect(unsubscribe).toHaveBeenCalledTimes(2);
+      jest.advanceTimersByTime(5000);
+      await flushPromises();
+      expect(subscribe).toHaveBeenCalledTimes(3);
+
+      await createTable({ eventChannel });
+      expect(onError).toHaveBeenCalledTimes(1);
+    });
+  });
+});
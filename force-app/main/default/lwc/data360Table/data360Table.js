@@ -1,13 +1,153 @@
 import { LightningElement, api, wire } from 'lwc';
-import { getObjectInfo } from 'lightning/uiObjectInfoApi';
 import { getRecord } from 'lightning/uiRecordApi';
+import { isEmpEnabled, onError, subscribe, unsubscribe } from 'lightning/empApi';
+import { CurrentPageReference, NavigationMixin } from 'lightning/navigation';
+import { FlowAttributeChangeEvent } from 'lightning/flowSupport';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
-import Id from '@salesforce/user/Id';
 
 import getConfigByName from '@salesforce/apex/Data360ConfigService.getConfigByName';
+import queryTable from '@salesforce/apex/Data360ConfigService.queryTable';
 import executeQuery from '@salesforce/apex/Data360ConfigService.executeQuery';
+import executeQueryPage from '@salesforce/apex/Data360ConfigService.executeQueryPage';
+import executeSearch from '@salesforce/apex/Data360ConfigService.executeSearch';
+import exportRows from '@salesforce/apex/Data360ConfigService.exportRows';
+import executeSqlQuery from '@salesforce/apex/Data360ConfigService.executeSqlQuery';
+import hasAdminPermission from '@salesforce/customPermission/Data_360_Table_Admin';
+import userId from '@salesforce/user/Id';
+import { parseConfig } from 'c/data360ConfigSchema';
+import { buildCsv, buildXlsx, buildFileName, downloadFile, CSV_MIME_TYPE, XLSX_MIME_TYPE } from 'c/data360Export';
+import {
+  buildActionUrl,
+  buildBulkFlowInputs,
+  buildFlowInputs,
+  getRowActionFields,
+  isRecordId
+} from 'c/data360RowActions';
+import {
+  ExpressionError,
+  RESULT_TYPES,
+  calculateValue,
+  getExpressionFields,
+  parseExpression
+} from 'c/data360Expression';
+import { buildSummaryTotals, describeAggregate, isGroupedConfig } from 'c/data360Aggregates';
+import { applyFormatRules, getFormatRuleFields, getFormattedFields, getRuleCellAttributes } from 'c/data360FormatRules';
+import { isJoinedField } from 'c/data360Joins';
+import { buildCacheKey, clearCache, getConfigCachePrefix, hashText, readCache, writeCache } from 'c/data360Cache';
+import {
+  EVENT_DELAY_MS,
+  RESUBSCRIBE_DELAY_MS,
+  getBackoffDelay,
+  getPollDelay,
+  isEventChannel
+} from 'c/data360AutoRefresh';
 
-export default class Data360Table extends LightningElement {
+const DEFAULT_PAGE_SIZE = 50;
+const DEFAULT_ROW_LIMIT = 100;
+const SEARCH_DEBOUNCE_MS = 300;
+const DEFAULT_EXPORT_LIMIT = 2000;
+// Page URL state that previews a config's draft, e.g. ?c__data360Draft=true
+const DRAFT_URL_PARAM = 'c__data360Draft';
+
+const NUMERIC_TYPES = ['number', 'currency', 'percent-fixed'];
+const DATE_FORMATS = {
+  short: { year: 'numeric', month: 'numeric', day: 'numeric' },
+  medium: { year: 'numeric', month: 'short', day: '2-digit' },
+  long: { year: 'numeric', month: 'long', day: 'numeric', weekday: 'long' }
+};
+const TIME_ATTRIBUTES = { hour: '2-digit', minute: '2-digit' };
+
+// Tables subscribed to an event channel. empApi keeps every onError callback for the page's
+// lifetime, so one callback registered on first use passes errors to the tables still subscribed.
+const channelTables = new Set();
+let isChannelErrorHandlerRegistered = false;
+
+function watchChannelErrors(table) {
+  channelTables.add(table);
+  if (!isChannelErrorHandlerRegistered) {
+    isChannelErrorHandlerRegistered = true;
+    onError(() => channelTables.forEach((channelTable) => channelTable._handleChannelError()));
+  }
+}
+
+/**
+ * Applies an admin format override (type, currency code, decimal places,
+ * date format, URL label field) on top of the server-built column.
+ */
+function applyColumnFormat(col, format) {
+  if (!format) {
+    return col;
+  }
+  const type = format.type || col.type;
+  let typeAttributes = type === col.type ? { ...(col.typeAttributes || {}) } : {};
+  if (NUMERIC_TYPES.includes(type) && format.decimalPlaces !== undefined && format.decimalPlaces !== '') {
+    const digits = parseInt(format.decimalPlaces, 10);
+    typeAttributes.minimumFractionDigits = digits;
+    typeAttributes.maximumFractionDigits = digits;
+  }
+  if (type === 'currency' && format.currencyCode) {
+    typeAttributes.currencyCode = format.currencyCode.toUpperCase();
+  }
+  if ((type === 'date' || type === 'date-local') && DATE_FORMATS[format.dateFormat]) {
+    typeAttributes = { ...DATE_FORMATS[format.dateFormat], ...(type === 'date' ? TIME_ATTRIBUTES : {}) };
+  }
+  if (type === 'url') {
+    typeAttributes.target = '_blank';
+    if (format.urlLabelField) {
+      typeAttributes.label = { fieldName: format.urlLabelField };
+    }
+  }
+  return { ...col, type, typeAttributes };
+}
+
+/**
+ * Replaces the ORDER BY of a query, keeping any trailing LIMIT/OFFSET.
+ * The server validates the resulting clause against the object's fields.
+ */
+function buildOrderedQuery(queryString, fieldName, sortDirection) {
+  const windowMatch = /\s+LIMIT\s+\d+(\s+OFFSET\s+\d+)?\s*$/i.exec(queryString);
+  const limitWindow = windowMatch ? windowMatch[0] : '';
+  const base = queryString
+    .slice(0, queryString.length - limitWindow.length)
+    .replace(/\s+ORDER\s+BY\s+[\s\S]*$/i, '')
+    .trim();
+  if (!fieldName) {
+    return `${base}${limitWindow}`;
+  }
+  return `${base} ORDER BY ${fieldName} ${sortDirection === 'desc' ? 'DESC' : 'ASC'}${limitWindow}`;
+}
+
+/**
+ * Parses calculated column definitions ({ fieldName, label, expression,
+ * resultType }) once, so each row only evaluates the tree. Throws
+ * ExpressionError naming the column whose expression does not parse.
+ */
+function compileCalculatedFields(fields) {
+  return fields.map((field) => {
+    let node;
+    try {
+      node = parseExpression(field.expression);
+    } catch (e) {
+      throw new ExpressionError(`Calculated column "${field.label || field.fieldName}": ${e.message}`);
+    }
+    const resultType = RESULT_TYPES.find((type) => type.value === field.resultType) || RESULT_TYPES[0];
+    return {
+      fieldName: field.fieldName,
+      resultType: resultType.value,
+      columnType: resultType.columnType,
+      node,
+      inputFields: getExpressionFields(node)
+    };
+  });
+}
+
+// Rows handed to flows, events and parent components carry only queried and
+// calculated fields, not _rowKey or the _format_* keys of format rules
+function withoutRowKey(row) {
+  return Object.fromEntries(Object.entries(row).filter(([key]) => !key.startsWith('_')));
+}
+
+export default class Data360Table extends NavigationMixin(LightningElement) {
   @api recordId;
   @api objectApiName;
   @api configName;
@@ -15,6 +155,23 @@ export default class Data360Table extends LightningElement {
   @api iconName;
   @api showRecordCount = false;
   @api isUsedAsRelatedList = false;
+  // Design-time switch to preview the config's draft; only admins see it
+  @api previewDraft = false;
+
+  // Flow screen inputs. mergeValues is a JSON object of $record field
+  // values, e.g. {"Industry": "Banking"}, for flows without a record page.
+  @api mergeValues;
+  // 'config' (default) follows the config; 'none', 'single' or 'multiple' override it
+  @api selectionMode;
+  // Field that fills firstSelectedRowId; defaults to Id
+  @api rowIdField;
+  @api requireSelection = false;
+  // Set by the flow runtime on screen components
+  @api availableActions;
+
+  @wire(CurrentPageReference) _pageRef;
+  // True once a config loaded from its draft
+  isDraftPreview = false;
 
   // For direct query mode (used by configurator preview)
   _columnLabels;
@@ -42,6 +199,66 @@ export default class Data360Table extends LightningElement {
     this._showSearch = value;
   }
 
+  // 'client' filters loaded rows; 'server' re-queries with a LIKE predicate
+  _searchMode = 'client';
+
+  @api
+  get searchMode() {
+    return this._searchMode;
+  }
+  set searchMode(value) {
+    this._searchMode = value || 'client';
+  }
+
+  // 'soql', or 'sql' to run the query string as Data Cloud SQL
+  _queryEngine = 'soql';
+
+  @api
+  get queryEngine() {
+    return this._queryEngine;
+  }
+  set queryEngine(value) {
+    this._queryEngine = value || 'soql';
+  }
+
+  _searchFields = [];
+
+  // Comma-separated field API names, e.g. "Name__c,Email__c"
+  @api
+  get searchableFields() {
+    return this._searchFields.join(',');
+  }
+  set searchableFields(value) {
+    this._searchFields = (value || '')
+      .split(',')
+      .map((f) => f.trim())
+      .filter((f) => f);
+  }
+
+  _showFilters = false;
+
+  @api
+  get showFilters() {
+    return this._showFilters;
+  }
+  set showFilters(value) {
+    this._showFilters = value;
+  }
+
+  _filterFields = [];
+
+  // Comma-separated field API names offered in the filter panel
+  @api
+  get filterableFields() {
+    return this._filterFields.join(',');
+  }
+  set filterableFields(value) {
+    this._filterFields = (value || '')
+      .split(',')
+      .map((f) => f.trim())
+      .filter((f) => f);
+  }
+
   _showRefresh = false;
 
   @api
@@ -52,6 +269,38 @@ export default class Data360Table extends LightningElement {
     this._showRefresh = value;
   }
 
+  _showSummary = false;
+
+  // Totals of the number and currency columns under the table
+  @api
+  get showSummary() {
+    return this._showSummary;
+  }
+  set showSummary(value) {
+    this._showSummary = value;
+  }
+
+  _showExport = false;
+
+  @api
+  get showExport() {
+    return this._showExport;
+  }
+  set showExport(value) {
+    this._showExport = value;
+  }
+
+  _exportLimit = DEFAULT_EXPORT_LIMIT;
+
+  // Row cap for "export all matching rows"; the server clamps it to 10,000
+  @api
+  get exportLimit() {
+    return this._exportLimit;
+  }
+  set exportLimit(value) {
+    this._exportLimit = parseInt(value, 10) || DEFAULT_EXPORT_LIMIT;
+  }
+
   _defaultSortField = '';
 
   @api
@@ -74,6 +323,53 @@ export default class Data360Table extends LightningElement {
     this._applyDefaultSort();
   }
 
+  // 'limit' (single query capped by LIMIT), 'infinite' or 'pages'
+  _paginationMode = 'limit';
+
+  @api
+  get paginationMode() {
+    return this._paginationMode;
+  }
+  set paginationMode(value) {
+    this._paginationMode = value || 'limit';
+  }
+
+  _pageSize = DEFAULT_PAGE_SIZE;
+
+  @api
+  get pageSize() {
+    return this._pageSize;
+  }
+  set pageSize(value) {
+    const prev = this._pageSize;
+    this._pageSize = parseInt(value, 10) || DEFAULT_PAGE_SIZE;
+    // Preview: reload from the first page when the page size is edited
+    if (this._queryStringInitialized && this.isPaged && this._assembledQuery && prev !== this._pageSize) {
+      this._executeAndRender(this._assembledQuery);
+    }
+  }
+
+  _columnFormatsString;
+  _columnFormats = new Map();
+
+  // JSON object of per-field format overrides, keyed by field API name
+  @api
+  get columnFormats() {
+    return this._columnFormatsString;
+  }
+  set columnFormats(value) {
+    this._columnFormatsString = value;
+    try {
+      this._columnFormats = new Map(Object.entries(value ? JSON.parse(value) : {}));
+    } catch {
+      // Ignore malformed overrides and fall back to the server-built types
+      this._columnFormats = new Map();
+    }
+    if (this._resultColumns.length > 0) {
+      this.tableColumns = this._buildColumns(this._resultColumns);
+    }
+  }
+
   _sortableFieldsString;
 
   @api
@@ -89,6 +385,71 @@ export default class Data360Table extends LightningElement {
     }
   }
 
+  _calculatedColumnsString;
+
+  // JSON array of calculated columns: [{ fieldName, label, expression, resultType }]
+  @api
+  get calculatedColumns() {
+    return this._calculatedColumnsString;
+  }
+  set calculatedColumns(value) {
+    this._calculatedColumnsString = value;
+    try {
+      this._calculatedFields = compileCalculatedFields(value ? JSON.parse(value) : []);
+    } catch {
+      // The configurator reports expression errors next to the column
+      this._calculatedFields = [];
+    }
+    if (this._resultColumns.length > 0) {
+      this._allTableData = this._formatRows(this._calculateRows(this._allTableData));
+      this.tableData = this._filterRows(this._allTableData, this.searchTerm);
+      this.tableColumns = this._buildColumns(this._resultColumns);
+    }
+  }
+
+  _formatRulesString;
+
+  // JSON array of format rules: [{ fieldName, operator, value, valueTo, scope, style, iconName, iconPosition }]
+  @api
+  get formatRules() {
+    return this._formatRulesString;
+  }
+  set formatRules(value) {
+    this._formatRulesString = value;
+    try {
+      this._formatRules = value ? JSON.parse(value) : [];
+    } catch {
+      this._formatRules = [];
+    }
+    if (this._resultColumns.length > 0) {
+      this._allTableData = this._formatRows(this._allTableData);
+      this.tableData = this._filterRows(this._allTableData, this.searchTerm);
+      this.tableColumns = this._buildColumns(this._resultColumns);
+    }
+  }
+
+  _joinsString;
+  _joins = [];
+
+  // JSON array of queryState joins: [{ objectApiName, primaryField, joinField, fields }]
+  @api
+  get joins() {
+    return this._joinsString;
+  }
+  set joins(value) {
+    const prev = this._joinsString;
+    this._joinsString = value;
+    try {
+      this._joins = value ? JSON.parse(value) : [];
+    } catch {
+      this._joins = [];
+    }
+    // Preview: reload when the joined columns change
+    if (this._queryStringInitialized && this._assembledQuery && prev !== value) {
+      this._executeAndRender(this._assembledQuery);
+    }
+  }
+
   _queryString;
   _queryStringInitialized = false;
 
@@ -119,14 +480,65 @@ export default class Data360Table extends LightningElement {
   searchTerm = '';
   _allTableData = [];
 
+  // Paging state
+  pageNumber = 1;
+  totalCount;
+  _hasMore = false;
+  _isLoadingMore = false;
+
   // Private
   _isRendered = false;
-  _mergeMap = new Map();
-  _objectApiName;
-  _objectInfo;
-  _getRecordFields = [];
+  // Config mode: the server builds the query from the saved config
+  _configRef;
+  _runtimeContext;
+  _rowLimit = DEFAULT_ROW_LIMIT;
+  // Config mode: minutes cached rows may be shown for while the table reloads; see c/data360Cache
+  _cacheMinutes = 0;
+  // hashText of the loaded config JSON, so a publish does not reuse older rows
+  _configVersion;
+  // Keep cached rows in sessionStorage as well as memory (config.persistCache)
+  _persistCache = false;
+  // True while the refresh button reloads, so the server skips its cache too
+  _isRefreshing = false;
+  // When the rows on screen were queried, in epoch milliseconds
+  lastUpdated;
+  // Config mode: refreshes the table runs on its own; see c/data360AutoRefresh
+  _pollSeconds = 0;
+  _eventChannel = '';
+  _pollTimeout;
+  _eventTimeout;
+  _resubscribeTimeout;
+  _subscription;
+  _subscribeFailures = 0;
+  _autoRefreshFailures = 0;
+  _isAutoRefreshing = false;
+  // An auto refresh came due while the tab was hidden
+  _isAutoRefreshPending = false;
+  // The record's field the table watches for saves, and its last systemModstamp
+  _recordChangeFields;
+  _recordModstamp;
+  // Preview mode: the configurator's query string
   _assembledQuery;
   _columnLabelsMap = new Map();
+  _resultColumns = [];
+  _queriedObjectApiName;
+  _activeFilters = [];
+  // Config mode: normalized config.rowActions
+  _rowActions = [];
+  // Config mode: checkbox column and normalized config.bulkActions
+  _enableSelection = false;
+  _bulkActions = [];
+  // Selected rows by key, kept across search, sort and paging
+  _selectedRows = new Map();
+  // Compiled calculated columns, evaluated into each row as it loads
+  _calculatedFields = [];
+  // Normalized config.formatRules, matched against each row as it loads
+  _formatRules = [];
+  // { flowApiName, label, inputs, isBulk } while an action's screen flow is open
+  activeFlow;
+  isFilterPanelOpen = false;
+  isExporting = false;
+  _searchTimeout;
 
   get hasData() {
     return !this.isLoading && !this.errorMessage && this.tableData.length > 0;
@@ -137,13 +549,112 @@ export default class Data360Table extends LightningElement {
   }
 
   get isEmpty() {
-    return !this.isLoading && !this.errorMessage && this.tableData.length === 0 && this._assembledQuery;
+    return !this.isLoading && !this.errorMessage && this.tableData.length === 0 && this._hasQuerySource;
+  }
+
+  get _wantsDraft() {
+    const state = (this._pageRef && this._pageRef.state) || {};
+    return hasAdminPermission === true && (this.previewDraft === true || state[DRAFT_URL_PARAM] === 'true');
+  }
+
+  get _hasQuerySource() {
+    return !!(this._configRef || this._assembledQuery);
   }
 
   get recordCountLabel() {
+    if (this.isPaged && this.totalCount != null) {
+      return `(${this.totalCount})`;
+    }
+    if (this.isPaged && this._hasMore) {
+      return `(${this._allTableData.length}+)`;
+    }
     return `(${this.tableData.length})`;
   }
 
+  get showLastUpdated() {
+    const refreshes = this._cacheMinutes > 0 || this._pollSeconds > 0 || Boolean(this._eventChannel);
+    return refreshes && Boolean(this.lastUpdated);
+  }
+
+  // Draft previews always load fresh rows
+  get _cacheKey() {
+    if (!this._configRef || this._cacheMinutes <= 0 || this.isDraftPreview) {
+      return null;
+    }
+    return buildCacheKey(userId, this._configRef, this._configVersion, {
+      context: this._runtimeContext,
+      uiState: this._uiState({}),
+      paged: this.isPaged
+    });
+  }
+
+  get isServerSearch() {
+    return !this._isSqlEngine && this._searchMode === 'server' && this._serverSearchFields.length > 0;
+  }
+
+  // Data Cloud SQL runs as written, so sort, search and filters stay in the browser
+  get _isSqlEngine() {
+    return this._queryEngine === 'sql';
+  }
+
+  // Calculated and joined columns are filled in after the query, so the server cannot search them
+  get _serverSearchFields() {
+    return this._searchFields.filter((fieldName) => !this._isBrowserField(fieldName));
+  }
+
+  // The sort the server can apply; calculated and joined columns are sorted in the browser
+  get _serverSortField() {
+    return this._isBrowserField(this.sortedBy) ? undefined : this.sortedBy;
+  }
+
+  get isPaged() {
+    return this._paginationMode === 'infinite' || this._paginationMode === 'pages';
+  }
+
+  get enableInfiniteLoading() {
+    return this._paginationMode === 'infinite' && this._hasMore;
+  }
+
+  get tableContainerClass() {
+    return this._paginationMode === 'infinite' ? 'table-container table-container_infinite' : 'table-container';
+  }
+
+  get showPageNavigation() {
+    return this._paginationMode === 'pages' && (this.pageNumber > 1 || this._hasMore);
+  }
+
+  get totalPages() {
+    if (this.totalCount == null) return null;
+    return Math.max(Math.ceil(this.totalCount / this._pageSize), 1);
+  }
+
+  get pageLabel() {
+    return this.totalPages ? `Page ${this.pageNumber} of ${this.totalPages}` : `Page ${this.pageNumber}`;
+  }
+
+  get isPreviousPageDisabled() {
+    return this.isLoading || this.pageNumber <= 1;
+  }
+
+  get isNextPageDisabled() {
+    return this.isLoading || !this._hasMore;
+  }
+
+  /**
+   * True when the loaded rows are the complete result set, which is the
+   * only case where an in-memory sort gives the same answer as ORDER BY.
+   */
+  get _isFullyLoaded() {
+    if (this.isPaged) {
+      return !this._hasMore && this.pageNumber === 1;
+    }
+    if (this._configRef) {
+      return this._allTableData.length < this._rowLimit;
+    }
+    const limitMatch = /\sLIMIT\s+(\d+)\s*$/i.exec(this._assembledQuery || '');
+    return !limitMatch || this._allTableData.length < parseInt(limitMatch[1], 10);
+  }
+
   get cardTitle() {
     if (!this.title) return '';
     if (this.showRecordCount && this.tableData.length > 0) {
@@ -156,41 +667,131 @@ export default class Data360Table extends LightningElement {
     return this._showSearch;
   }
 
+  get summaryTotals() {
+    return buildSummaryTotals(this.tableColumns, this.tableData);
+  }
+
+  get showSummaryRow() {
+    return this._showSummary && this.hasData && this.summaryTotals.length > 0;
+  }
+
+  get summaryLabel() {
+    return this.tableData.length === 1 ? 'Total of 1 row' : `Total of ${this.tableData.length} rows`;
+  }
+
   get showRefreshButton() {
     return this._showRefresh;
   }
 
   get showToolbar() {
-    return this._showSearch || this._showRefresh;
-  }
-
-  // Wire for $record merge field resolution
-  @wire(getObjectInfo, { objectApiName: '$_objectApiName' })
-  objectInfoWire({ error, data }) {
-    if (error) {
-      this._handleError('Object info error', error);
-    } else if (data && this._mergeMap.size > 0) {
-      this._objectInfo = data;
-      this._getRecordFields = Array.from(this._mergeMap.values()).map((c) => c.objectQualifiedFieldApiName);
-    }
-  }
-
-  @wire(getRecord, { recordId: '$recordId', fields: '$_getRecordFields' })
-  recordWire({ error, data }) {
-    if (error) {
-      this._handleError('Record data error', error);
-    } else if (data) {
-      // Merge field values into the query
-      let query = this._assembledQuery;
-      for (const [key, config] of this._mergeMap.entries()) {
-        const fieldValue = data.fields[config.fieldApiName].value;
-        const dataType = this._objectInfo.fields[config.fieldApiName].dataType.toLowerCase();
-        const needsQuotes = ['string', 'reference', 'picklist', 'text', 'textarea', 'email', 'phone', 'url'].includes(
-          dataType
-        );
-        query = query.replace(key, needsQuotes ? `'${fieldValue}'` : fieldValue);
-      }
-      this._executeAndRender(query);
+    return this._showSearch || this._showRefresh || this.showFilterButton || this._showExport;
+  }
+
+  get showExportMenu() {
+    return this._showExport;
+  }
+
+  get isExportDisabled() {
+    return this.isExporting || this.isLoading || !this._hasQuerySource || this.tableColumns.length === 0;
+  }
+
+  get exportAllLabel() {
+    return `All matching rows (up to ${this._exportLimit.toLocaleString()})`;
+  }
+
+  get showFilterButton() {
+    return !this._isSqlEngine && this._showFilters && this._filterFields.length > 0;
+  }
+
+  get filterButtonVariant() {
+    return this._activeFilters.length > 0 ? 'brand' : 'border-filled';
+  }
+
+  get filterButtonLabel() {
+    return this._activeFilters.length > 0 ? `Filters (${this._activeFilters.length} active)` : 'Filters';
+  }
+
+  get filterPanelClass() {
+    return this.isFilterPanelOpen ? '' : 'slds-hide';
+  }
+
+  get filterPanelFields() {
+    const columnMap = new Map(this.tableColumns.map((col) => [col.fieldName, col]));
+    return this._filterFields
+      .filter((fieldName) => columnMap.has(fieldName))
+      .map((fieldName) => {
+        const col = columnMap.get(fieldName);
+        return { fieldName, label: col.label, type: col.type };
+      });
+  }
+
+  get datatableColumns() {
+    if (this._rowActions.length === 0 || this.tableColumns.length === 0) {
+      return this.tableColumns;
+    }
+    const rowActions = this._rowActions.map((action) => ({ label: action.label, name: action.name }));
+    return [...this.tableColumns, { type: 'action', typeAttributes: { rowActions } }];
+  }
+
+  get hideCheckboxColumn() {
+    return !this._enableSelection;
+  }
+
+  get maxRowSelection() {
+    return this.selectionMode === 'single' ? 1 : undefined;
+  }
+
+  get selectedRowKeys() {
+    return Array.from(this._selectedRows.keys());
+  }
+
+  get showSelectionBar() {
+    return this._enableSelection && this._hasQuerySource;
+  }
+
+  get isSelectionEmpty() {
+    return this._selectedRows.size === 0;
+  }
+
+  get selectedCountLabel() {
+    return this._selectedRows.size === 1 ? '1 row selected' : `${this._selectedRows.size} rows selected`;
+  }
+
+  get bulkActionButtons() {
+    return this._bulkActions.map((action) => ({ name: action.name, label: action.label }));
+  }
+
+  get _columnTypes() {
+    return Object.fromEntries(
+      [...this._resultColumns, ...this._calculatedColumns()].map((col) => [col.fieldName, col.type])
+    );
+  }
+
+  get queriedObjectApiName() {
+    return this._queriedObjectApiName;
+  }
+
+  get showFilterPanel() {
+    return this.showFilterButton && !!this._queriedObjectApiName;
+  }
+
+  // The published config's Filterable fields; drafts differ, and only admins preview them
+  get filterConfigRef() {
+    return this.isDraftPreview ? null : this._configRef;
+  }
+
+  // Saves to the hosting record, such as an inline edit, refresh the table.
+  // queryTable reads the record's $record merge field values itself.
+  @wire(getRecord, { recordId: '$recordId', fields: '$_recordChangeFields' })
+  recordWire({ data }) {
+    // Errors are left alone: the table loads without the record
+    if (!data) {
+      return;
+    }
+    const isChanged = this._recordModstamp !== undefined && data.systemModstamp !== this._recordModstamp;
+    this._recordModstamp = data.systemModstamp;
+    if (isChanged) {
+      this._autoRefresh();
     }
   }
 
@@ -216,74 +817,191 @@ export default class Data360Table extends LightningElement {
         return;
       }
 
+      // Draft_JSON__c only reaches admins; everyone else gets the published config
+      this.isDraftPreview = this._wantsDraft && Boolean(config.Draft_JSON__c);
+      const configJson = this.isDraftPreview ? config.Draft_JSON__c : config.Config_JSON__c;
+      if (!configJson) {
+        this._handleError('Config Error', `Data 360 Config '${this.configName}' has not been published yet`);
+        return;
+      }
+
       let parsed;
       try {
-        parsed = JSON.parse(config.Config_JSON__c);
+        parsed = parseConfig(configJson);
       } catch (e) {
-        this._handleError('Config Error', `Invalid JSON: ${e.message}`);
+        this._handleError('Config Error', e.message);
         return;
       }
 
       // Build column labels map from config
       const visibleFields = parsed.fields.filter((f) => f.visible);
-      if (visibleFields.length === 0) {
+      this._queryEngine = parsed.queryEngine;
+      // A Data Cloud SQL statement does its own grouping, and joined tables are not grouped
+      const grouped = !this._isSqlEngine && parsed.joins.length === 0 && isGroupedConfig(parsed);
+      if (visibleFields.length === 0 && !grouped) {
         this._handleError('Config Error', 'No visible fields configured');
         return;
       }
 
       this._columnLabelsMap = new Map(visibleFields.map((f) => [f.fieldName, f.label]));
       this._sortableFieldsMap = new Map(visibleFields.map((f) => [f.fieldName, f.sortable !== false]));
-      this._defaultSortField = parsed.defaultSortField || '';
-      this._defaultSortDirection = parsed.defaultSortDirection || 'asc';
+      this._searchFields = visibleFields.filter((f) => f.searchable).map((f) => f.fieldName);
+      if (grouped) {
+        this._applyGrouping(parsed);
+      }
+      this._columnFormats = new Map(visibleFields.filter((f) => f.format).map((f) => [f.fieldName, f.format]));
+      this._joins = this._isSqlEngine ? [] : parsed.joins;
+      this._filterFields = visibleFields
+        .filter((f) => f.filterable && !isJoinedField(this._joins, f.fieldName))
+        .map((f) => f.fieldName);
+      this._showFilters = parsed.showFilters;
+      this._searchMode = parsed.searchMode;
+      this._defaultSortField = parsed.defaultSortField;
+      this._defaultSortDirection = parsed.defaultSortDirection;
       if (parsed.showRecordCount) this.showRecordCount = true;
       if (parsed.showSearch) this._showSearch = true;
       if (parsed.showRefresh) this._showRefresh = true;
+      if (parsed.showExport) this._showExport = true;
+      this._exportLimit = parsed.exportLimit;
       if (parsed.isUsedAsRelatedList) this.isUsedAsRelatedList = true;
-
-      const fieldNames = visibleFields.map((f) => f.fieldName).join(', ');
-      const whereClause = parsed.whereClause || '';
-      const limit = parsed.limit || 100;
-      let query = `SELECT ${fieldNames} FROM ${parsed.objectApiName} ${whereClause} LIMIT ${limit}`;
-
-      // Handle merge fields
-      if (query.includes('$recordId')) {
-        query = query.replace(/\$recordId/g, `'${this.recordId}'`);
+      this._showSummary = parsed.showSummary;
+      this._cacheMinutes = parsed.cacheMinutes;
+      this._persistCache = parsed.persistCache;
+      this._configVersion = hashText(configJson);
+      this._pollSeconds = parsed.pollSeconds;
+      this._eventChannel = isEventChannel(parsed.eventChannel) ? parsed.eventChannel : '';
+      // Grouped rows are groups, not records: no paging, actions, selection or calculated columns.
+      // Data Cloud SQL tables also load in one query up to the row limit.
+      this._paginationMode = grouped || this._isSqlEngine ? 'limit' : parsed.paginationMode;
+      this._pageSize = parsed.pageSize;
+      this._rowLimit = parsed.limit;
+      this._rowActions = grouped ? [] : parsed.rowActions;
+      this._enableSelection = parsed.enableSelection;
+      if (this.selectionMode === 'single' || this.selectionMode === 'multiple') {
+        this._enableSelection = true;
+      } else if (this.selectionMode === 'none') {
+        this._enableSelection = false;
       }
-      if (query.includes('$CurrentUserId')) {
-        query = query.replace(/\$CurrentUserId/g, `'${Id}'`);
+      if (grouped) {
+        this._enableSelection = false;
       }
-
-      // $record.FieldName -> LDS merge
-      if (query.includes('$record.')) {
-        query = query.replace(/\$record\./g, '$CurrentRecord.');
+      this._bulkActions = this._enableSelection && parsed.enableSelection ? parsed.bulkActions : [];
+      this._formatRules = parsed.formatRules;
+      try {
+        this._calculatedFields = compileCalculatedFields(grouped ? [] : visibleFields.filter((f) => f.calculated));
+      } catch (e) {
+        this._handleError('Config Error', e.message);
+        return;
       }
-      if (query.includes('$CurrentRecord.')) {
-        if (!this.objectApiName) {
-          this._handleError('Config Error', '$record merge fields require a Record Page');
+
+      // queryTable loads the config again and builds the SOQL itself; it
+      // reads $record values from the page's record as the running user
+      this._configRef = config.Id;
+      this._runtimeContext = { recordId: this.recordId, objectApiName: this.objectApiName };
+      const recordTokens = this._isSqlEngine ? null : parsed.whereClause.match(/\$(record|CurrentRecord)(\.\w+)+/g);
+      // A flow without a record supplies the values as Merge Values, if the config accepts them
+      if (recordTokens && !this.recordId) {
+        if (!parsed.flowMergeValues) {
+          const message = '$record merge fields require a Record Page, or Accept Flow Merge Values in a flow';
+          this._handleError('Config Error', message);
           return;
         }
-        const matches = query.match(/(\$CurrentRecord\.\w+)/g);
-        if (matches) {
-          matches.forEach((original) => {
-            const fieldApiName = original.replace('$CurrentRecord.', '');
-            this._mergeMap.set(original, {
-              objectQualifiedFieldApiName: `${this.objectApiName}.${fieldApiName}`,
-              fieldApiName: fieldApiName
-            });
-          });
-          this._assembledQuery = query;
-          this._objectApiName = this.objectApiName;
-          // Wire handlers will pick up from here
+        if (!this.mergeValues) {
+          this._handleError('Config Error', '$record merge fields require a Record Page, or Merge Values in a flow');
           return;
         }
+        let values;
+        try {
+          values = JSON.parse(this.mergeValues);
+        } catch {
+          values = null;
+        }
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+          this._handleError('Config Error', 'Merge Values must be a JSON object, e.g. {"Industry": "Banking"}');
+          return;
+        }
+        this._runtimeContext.values = values;
       }
-
-      await this._executeAndRender(query);
+      if (this.recordId && this.objectApiName) {
+        this._recordChangeFields = [`${this.objectApiName}.LastModifiedDate`];
+      }
+      this._startAutoRefresh();
+      await this._executeAndRender();
     } catch (error) {
       this._handleError('Load Error', error);
     }
   }
 
+  /**
+   * Grouped configs show the Group By fields and the aggregate columns
+   * instead of the visible fields. Labels and column formats still come from
+   * the field entries of the Group By fields.
+   */
+  _applyGrouping(parsed) {
+    const labels = new Map(parsed.fields.map((f) => [f.fieldName, f.label]));
+    this._columnLabelsMap = new Map([
+      ...parsed.groupByFields.map((fieldName) => [fieldName, labels.get(fieldName) || fieldName]),
+      ...parsed.aggregates.map((aggregate) => [aggregate.alias, aggregate.label || describeAggregate(aggregate)])
+    ]);
+    this._sortableFieldsMap = new Map([...this._columnLabelsMap.keys()].map((fieldName) => [fieldName, true]));
+    // Server search filters the records before grouping; browser search can only see the group values
+    if (parsed.searchMode !== 'server') {
+      this._searchFields = this._searchFields.filter((fieldName) => parsed.groupByFields.includes(fieldName));
+    }
+  }
+
+  disconnectedCallback() {
+    clearTimeout(this._searchTimeout);
+    this._stopAutoRefresh();
+  }
+
+  /**
+   * The selected rows, including rows hidden by the search term or loaded
+   * on another page. Empty unless the config enables row selection.
+   */
+  @api
+  getSelectedRows() {
+    return Array.from(this._selectedRows.values(), (row) => withoutRowKey(row));
+  }
+
+  // Flow screen outputs, refreshed with FlowAttributeChangeEvent on every selection change.
+  // Flow binds the rows as records of the Row Object, so they carry only its own fields.
+  @api
+  get selectedRows() {
+    return Array.from(this._selectedRows.values(), (row) => this._toRecord(row));
+  }
+
+  @api
+  get selectedCount() {
+    return this._selectedRows.size;
+  }
+
+  @api
+  get firstSelectedRow() {
+    const rows = this.selectedRows;
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  // Read from the displayed row, so Row ID Field can name a parent or joined column
+  @api
+  get firstSelectedRowId() {
+    const rows = this.getSelectedRows();
+    const value = rows.length > 0 ? rows[0][this.rowIdField || 'Id'] : null;
+    return value === undefined || value === null ? null : String(value);
+  }
+
+  /**
+   * Flow screen validation: blocks Next while Require Selection is on and
+   * no row is selected.
+   */
+  @api
+  validate() {
+    if (this.requireSelection && this._enableSelection && this._selectedRows.size === 0) {
+      return { isValid: false, errorMessage: 'Select at least one row to continue.' };
+    }
+    return { isValid: true };
+  }
+
   // Public API for configurator to refresh preview
   @api
   async refreshWithQuery(queryString, columnLabelsString) {
@@ -301,84 +1019,402 @@ export default class Data360Table extends LightningElement {
     await this._executeAndRender(queryString);
   }
 
-  handleSort(event) {
+  async handleSort(event) {
     const { fieldName, sortDirection } = event.detail;
     this.sortedBy = fieldName;
     this.sortedDirection = sortDirection;
-    this.tableData = this._sortData(fieldName, sortDirection);
+    // Every matching row is already in memory, so sorting locally is exact.
+    // Calculated and joined columns can only be sorted locally, within the loaded rows,
+    // and so can aggregate columns in preview, where SOQL cannot ORDER BY an alias,
+    // and every column of a Data Cloud SQL table.
+    if (
+      this._isFullyLoaded ||
+      this._isSqlEngine ||
+      this._isBrowserField(fieldName) ||
+      this._isPreviewAggregate(fieldName)
+    ) {
+      this._allTableData = this._sortData(this._allTableData, fieldName, sortDirection);
+      this.tableData = this._filterRows(this._allTableData, this.searchTerm);
+      return;
+    }
+    // Config mode sends the sort in the UI state instead of rewriting SOQL
+    await this._executeAndRender(
+      this._configRef ? undefined : buildOrderedQuery(this._assembledQuery, fieldName, sortDirection)
+    );
   }
 
   handleSearchChange(event) {
     const term = (event.detail.value || '').toLowerCase();
     this.searchTerm = term;
-    if (!term) {
-      this.tableData = this._allTableData;
+    if (!this.isServerSearch) {
+      this.tableData = this._filterRows(this._allTableData, term);
       return;
     }
-    this.tableData = this._allTableData.filter((row) => {
-      return Object.values(row).some((val) => val != null && String(val).toLowerCase().includes(term));
-    });
+    clearTimeout(this._searchTimeout);
+    // Wait for typing to pause before re-querying the server
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    this._searchTimeout = setTimeout(() => {
+      if (this._hasQuerySource) {
+        this._executeAndRender(this._assembledQuery);
+      }
+    }, SEARCH_DEBOUNCE_MS);
   }
 
   async handleRefresh() {
-    if (this._assembledQuery) {
+    if (this._hasQuerySource) {
+      clearTimeout(this._searchTimeout);
       this.searchTerm = '';
+      if (this._configRef) {
+        clearCache(getConfigCachePrefix(userId, this._configRef));
+      }
+      this._isRefreshing = true;
+      try {
+        await this._executeAndRender(this._assembledQuery);
+      } finally {
+        this._isRefreshing = false;
+      }
+    }
+  }
+
+  handleToggleFilters() {
+    this.isFilterPanelOpen = !this.isFilterPanelOpen;
+  }
+
+  async handleFilterChange(event) {
+    this._activeFilters = event.detail.filters;
+    if (this._hasQuerySource) {
       await this._executeAndRender(this._assembledQuery);
     }
   }
 
+  /**
+   * Menu values are "<scope>-<format>": view exports the rows on screen,
+   * all re-runs the query on the server up to the export cap.
+   */
+  async handleExportSelect(event) {
+    const [scope, format] = event.detail.value.split('-');
+    const columns = this.tableColumns;
+    this.isExporting = true;
+    try {
+      let rows = this.tableData;
+      if (scope === 'all') {
+        const result = await this._fetchExportRows();
+        rows = this._filterRows(this._sortCalculated(this._calculateRows(result.tableData)), this.searchTerm);
+        if (result.truncated) {
+          this.dispatchEvent(
+            new ShowToastEvent({
+              title: 'Export truncated',
+              message: `Only the first ${result.exportLimit.toLocaleString()} matching rows were exported.`,
+              variant: 'warning'
+            })
+          );
+        }
+      }
+      const baseName = this.title || this._queriedObjectApiName;
+      if (format === 'xlsx') {
+        downloadFile(buildFileName(baseName, 'xlsx'), buildXlsx(columns, rows, baseName), XLSX_MIME_TYPE);
+      } else {
+        downloadFile(buildFileName(baseName, 'csv'), buildCsv(columns, rows), CSV_MIME_TYPE);
+      }
+    } catch (error) {
+      this._handleError('Export Error', error);
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  handleRowAction(event) {
+    const action = this._rowActions.find((a) => a.name === event.detail.action.name);
+    const row = withoutRowKey(event.detail.row);
+    if (!action) {
+      return;
+    }
+    if (action.type === 'navigate') {
+      const recordId = row[action.idField];
+      if (!isRecordId(recordId)) {
+        this._showWarning(action.label, `This row has no record ID in ${action.idField}.`);
+        return;
+      }
+      this[NavigationMixin.Navigate]({
+        type: 'standard__recordPage',
+        attributes: { recordId, actionName: 'view' }
+      });
+    } else if (action.type === 'url') {
+      const url = buildActionUrl(action.urlTemplate, row);
+      if (!url) {
+        this._showWarning(action.label, 'The action URL must start with https://, http:// or /.');
+        return;
+      }
+      this[NavigationMixin.Navigate]({ type: 'standard__webPage', attributes: { url } });
+    } else if (action.type === 'flow') {
+      this.activeFlow = {
+        flowApiName: action.flowApiName,
+        label: action.label,
+        inputs: buildFlowInputs(action, row, this._columnTypes),
+        isBulk: false
+      };
+    } else if (action.type === 'event') {
+      // For a parent component; Lightning pages do not pass events between components
+      this.dispatchEvent(
+        new CustomEvent('rowaction', { detail: { action: action.eventName, row }, bubbles: true, composed: true })
+      );
+    }
+  }
+
+  /**
+   * Datatable selection covers only the rows on screen, so rows filtered
+   * out by search or loaded on another page keep their selected state.
+   */
+  handleRowSelection(event) {
+    const selected = event.detail.selectedRows;
+    const selectedKeys = new Set(selected.map((row) => row[this.keyField]));
+    // Single selection replaces whatever was picked on another page
+    const selectedRows = this.maxRowSelection === 1 && selected.length > 0 ? new Map() : new Map(this._selectedRows);
+    for (const row of this.tableData) {
+      if (!selectedKeys.has(row[this.keyField])) {
+        selectedRows.delete(row[this.keyField]);
+      }
+    }
+    for (const row of selected) {
+      selectedRows.set(row[this.keyField], { ...row });
+    }
+    this._setSelectedRows(selectedRows);
+  }
+
+  handleClearSelection() {
+    this._setSelectedRows(new Map());
+  }
+
+  handleBulkAction(event) {
+    const action = this._bulkActions.find((a) => a.name === event.target.dataset.name);
+    const rows = this.getSelectedRows();
+    if (!action || rows.length === 0) {
+      return;
+    }
+    if (action.type === 'flow') {
+      this.activeFlow = {
+        flowApiName: action.flowApiName,
+        label: action.label,
+        inputs: buildBulkFlowInputs(action, rows, this._columnTypes),
+        isBulk: true
+      };
+    } else if (action.type === 'event') {
+      this.dispatchEvent(
+        new CustomEvent('rowselection', { detail: { action: action.eventName, rows }, bubbles: true, composed: true })
+      );
+    }
+  }
+
+  async handleFlowStatusChange(event) {
+    const status = event.detail.status;
+    if (status !== 'FINISHED' && status !== 'FINISHED_SCREEN') {
+      return;
+    }
+    if (this.activeFlow.isBulk) {
+      this._setSelectedRows(new Map());
+    }
+    this.activeFlow = undefined;
+    // The flow may have changed the rows
+    if (this._hasQuerySource) {
+      await this._executeAndRender(this._assembledQuery);
+    }
+  }
+
+  handleFlowCancel() {
+    this.activeFlow = undefined;
+  }
+
+  async handleLoadMore(event) {
+    if (!this._hasMore || this._isLoadingMore || !this._hasQuerySource) {
+      return;
+    }
+    const datatable = event.target;
+    datatable.isLoading = true;
+    this._isLoadingMore = true;
+    try {
+      const result = await this._fetchPage(this._assembledQuery, this._allTableData.length);
+      this._applyPageMetadata(result);
+      const rows = this._formatRows(this._keyRows(this._calculateRows(result.tableData), this._allTableData.length));
+      this._allTableData = this._sortCalculated([...this._allTableData, ...rows]);
+      this.tableData = this._filterRows(this._allTableData, this.searchTerm);
+    } catch (error) {
+      this._handleError('Query Error', error);
+    } finally {
+      this._isLoadingMore = false;
+      datatable.isLoading = false;
+    }
+  }
+
+  async handlePreviousPage() {
+    if (this.pageNumber > 1) {
+      await this._loadPage(this.pageNumber - 1);
+    }
+  }
+
+  async handleNextPage() {
+    if (this._hasMore) {
+      await this._loadPage(this.pageNumber + 1);
+    }
+  }
+
   // Private methods
 
+  /**
+   * Loads the first page, or every row up to the limit, and shows it.
+   * With cacheMinutes set, rows cached for the same request are shown at
+   * once and replaced when the query returns (stale-while-revalidate).
+   */
   async _executeAndRender(queryString) {
-    this.isLoading = true;
+    const cacheKey = this._cacheKey;
+    const cacheOptions = { persist: this._persistCache };
+    const cached = cacheKey ? readCache(cacheKey, this._cacheMinutes, cacheOptions) : null;
+    // Auto refreshes leave the rows on screen until the new ones arrive
+    this.isLoading = !cached && !this._isAutoRefreshing;
     this.errorMessage = '';
+    if (cached) {
+      this._renderResult(cached.result, queryString);
+    }
     try {
-      const result = await executeQuery({ queryString: queryString });
-      this._assembledQuery = queryString;
-
-      // Apply column labels, sortable flags, and preserve order from config
-      const resultColMap = new Map(
-        result.tableColumns.map((col) => {
-          const customLabel = this._columnLabelsMap.get(col.fieldName);
-          const isSortable = this._sortableFieldsMap
-            ? this._sortableFieldsMap.get(col.fieldName) !== false
-            : true;
-          return [col.fieldName, { ...col, label: customLabel || col.label, sortable: isSortable }];
-        })
-      );
-      if (this._columnLabelsMap.size > 0) {
-        const ordered = [];
-        for (const fieldName of this._columnLabelsMap.keys()) {
-          const col = resultColMap.get(fieldName);
-          if (col) ordered.push(col);
-        }
-        for (const [fieldName, col] of resultColMap) {
-          if (!this._columnLabelsMap.has(fieldName)) ordered.push(col);
-        }
-        this.tableColumns = ordered;
-      } else {
-        this.tableColumns = Array.from(resultColMap.values());
+      const result = this.isPaged ? await this._fetchPage(queryString, 0) : await this._fetchAll(queryString);
+      if (cacheKey) {
+        writeCache(cacheKey, result, cacheOptions);
       }
-
-      // Detect key field - use 'Id' if present, otherwise generate row keys
-      const hasId = result.tableColumns.some((c) => c.fieldName === 'Id');
-      if (!hasId && result.tableData.length > 0) {
-        this.keyField = '_rowKey';
-        this.tableData = result.tableData.map((row, idx) => ({ ...row, _rowKey: `row-${idx}` }));
-      } else {
-        this.keyField = 'Id';
-        this.tableData = result.tableData;
+      this._renderResult(result, queryString);
+    } catch (error) {
+      if (this._isAutoRefreshing) {
+        // _autoRefresh retries later; the Updated time shows the rows' age
+        throw error;
       }
+      this._handleError('Query Error', error);
+    } finally {
+      this.isLoading = false;
+    }
+  }
+
+  _renderResult(result, queryString) {
+    this._assembledQuery = queryString;
+    this._queriedObjectApiName = result.objectApiName;
+    this.pageNumber = 1;
+    this._applyPageMetadata(result);
 
-      this._allTableData = [...this.tableData];
+    this._resultColumns = result.tableColumns;
+    this.tableColumns = this._buildColumns(result.tableColumns);
+
+    // Detect key field - use 'Id' if present, otherwise generate row keys
+    const hasId = result.tableColumns.some((c) => c.fieldName === 'Id');
+    this.keyField = hasId ? 'Id' : '_rowKey';
+    this._allTableData = this._sortCalculated(this._formatRows(this._keyRows(this._calculateRows(result.tableData), 0)));
+    this.tableData = this._filterRows(this._allTableData, this.searchTerm);
+
+    // Rows arrive ordered by the query; only the header indicator needs setting
+    if (!this.sortedBy && this._defaultSortField) {
+      this.sortedBy = this._defaultSortField;
+      this.sortedDirection = this._defaultSortDirection || 'asc';
+    }
+    this.lastUpdated = result.queriedAt || Date.now();
+  }
 
-      // Apply default sort if configured
-      if (this._defaultSortField && this.tableData.length > 0) {
-        this.sortedBy = this._defaultSortField;
-        this.sortedDirection = this._defaultSortDirection || 'asc';
-        this.tableData = this._sortData(this.sortedBy, this.sortedDirection);
-        this._allTableData = [...this.tableData];
+  /**
+   * Applies column labels, sortable flags, format overrides and format rule
+   * cell attributes from config, preserving the configured column order.
+   * Calculated columns are added to the server's columns.
+   */
+  _buildColumns(resultColumns) {
+    const helperFieldNames = new Set([
+      ...Array.from(this._columnFormats.values())
+        .map((format) => format.urlLabelField)
+        .filter((f) => f),
+      ...[...this._rowActions, ...this._bulkActions].flatMap((action) => getRowActionFields(action)),
+      ...this._calculatedFields.flatMap((field) => field.inputFields),
+      ...getFormatRuleFields(this._formatRules)
+    ]);
+    const allColumns = [...resultColumns, ...this._calculatedColumns()];
+    const formattedFields = new Set(getFormattedFields(this._formatRules, allColumns.map((col) => col.fieldName)));
+    const resultColMap = new Map();
+    for (const col of allColumns) {
+      // Fields queried only to label URL columns, for row actions, calculated columns or format rules are not displayed
+      if (helperFieldNames.has(col.fieldName) && !this._columnLabelsMap.has(col.fieldName)) {
+        continue;
+      }
+      const customLabel = this._columnLabelsMap.get(col.fieldName);
+      const isSortable = this._sortableFieldsMap ? this._sortableFieldsMap.get(col.fieldName) !== false : true;
+      const formatted = applyColumnFormat(col, this._columnFormats.get(col.fieldName));
+      const column = { ...formatted, label: customLabel || col.label, sortable: isSortable };
+      if (formattedFields.has(col.fieldName)) {
+        column.cellAttributes = { ...column.cellAttributes, ...getRuleCellAttributes(col.fieldName) };
       }
+      resultColMap.set(col.fieldName, column);
+    }
+    if (this._columnLabelsMap.size === 0) {
+      return Array.from(resultColMap.values());
+    }
+    const ordered = [];
+    for (const fieldName of this._columnLabelsMap.keys()) {
+      const col = resultColMap.get(fieldName);
+      if (col) ordered.push(col);
+    }
+    for (const [fieldName, col] of resultColMap) {
+      if (!this._columnLabelsMap.has(fieldName)) ordered.push(col);
+    }
+    return ordered;
+  }
+
+  _calculatedColumns() {
+    return this._calculatedFields.map((field) => ({
+      label: field.fieldName,
+      fieldName: field.fieldName,
+      type: field.columnType
+    }));
+  }
+
+  _isCalculatedField(fieldName) {
+    return this._calculatedFields.some((field) => field.fieldName === fieldName);
+  }
+
+  // Columns the rows get after the query, which only the browser can sort and search
+  _isBrowserField(fieldName) {
+    return this._isCalculatedField(fieldName) || isJoinedField(this._joins, fieldName);
+  }
+
+  _isPreviewAggregate(fieldName) {
+    return !this._configRef && this._resultColumns.some((col) => col.fieldName === fieldName && col.aggregate);
+  }
+
+  // Adds each calculated column's value to a copy of the rows
+  _calculateRows(rows) {
+    if (this._calculatedFields.length === 0) {
+      return rows;
+    }
+    const fieldTypes = this._columnTypes;
+    return rows.map((row) => {
+      const calculated = { ...row };
+      this._calculatedFields.forEach((field) => {
+        calculated[field.fieldName] = calculateValue(field.node, field.resultType, row, fieldTypes);
+      });
+      return calculated;
+    });
+  }
+
+  // Writes each format rule match into a copy of the rows, for the columns' cellAttributes
+  _formatRows(rows) {
+    const fieldNames = [...this._resultColumns, ...this._calculatedColumns()].map((col) => col.fieldName);
+    return applyFormatRules(rows, this._formatRules, fieldNames);
+  }
+
+  // Rows from the server arrive in query order; a calculated or joined sort is redone here
+  _sortCalculated(rows) {
+    return this._isBrowserField(this.sortedBy) ? this._sortData(rows, this.sortedBy, this.sortedDirection) : rows;
+  }
+
+  async _loadPage(pageNumber) {
+    this.isLoading = true;
+    try {
+      const result = await this._fetchPage(this._assembledQuery, (pageNumber - 1) * this._pageSize);
+      this.pageNumber = pageNumber;
+      this._applyPageMetadata(result);
+      const rows = this._formatRows(this._keyRows(this._calculateRows(result.tableData), result.pageOffset));
+      this._allTableData = this._sortCalculated(rows);
+      this.tableData = this._filterRows(this._allTableData, this.searchTerm);
     } catch (error) {
       this._handleError('Query Error', error);
     } finally {
@@ -386,6 +1422,277 @@ export default class Data360Table extends LightningElement {
     }
   }
 
+  _fetchAll(queryString) {
+    if (this._configRef) {
+      return this._queryTable({});
+    }
+    if (this._isSqlEngine) {
+      // The statement's LIMIT caps the preview
+      return executeSqlQuery({ sqlQuery: queryString, rowLimit: null });
+    }
+    const useServerSearch = this.isServerSearch && this.searchTerm;
+    if (useServerSearch || this._activeFilters.length > 0 || this._joins.length > 0) {
+      // No pageSize in the state, so the server runs one LIMIT-capped query
+      return executeSearch({
+        queryString: queryString,
+        searchTerm: useServerSearch ? this.searchTerm : '',
+        searchFields: this._serverSearchFields,
+        queryState: { filters: this._activeFilters, joins: this._joins }
+      });
+    }
+    return executeQuery({ queryString: queryString });
+  }
+
+  _fetchPage(queryString, pageOffset) {
+    if (this._configRef) {
+      return this._queryTable({ pageOffset });
+    }
+    const queryState = {
+      pageSize: this._pageSize,
+      pageOffset: pageOffset,
+      includeTotalCount: this._paginationMode === 'pages',
+      filters: this._activeFilters,
+      joins: this._joins
+    };
+    if (this.isServerSearch && this.searchTerm) {
+      return executeSearch({
+        queryString: queryString,
+        searchTerm: this.searchTerm,
+        searchFields: this._serverSearchFields,
+        queryState: queryState
+      });
+    }
+    return executeQueryPage({ queryString: queryString, queryState: queryState });
+  }
+
+  /**
+   * Re-runs the current query for export with the active sort, search
+   * term and filters. A client-side sort never reached the query string,
+   * so the ORDER BY is rebuilt from the header indicator. Client searches
+   * stay in the browser, which filters the exported rows like the table.
+   */
+  _fetchExportRows() {
+    if (this._configRef) {
+      return this._queryTable({ export: true });
+    }
+    if (this._isSqlEngine) {
+      return executeSqlQuery({ sqlQuery: this._assembledQuery, rowLimit: this._exportLimit });
+    }
+    const queryString = this._serverSortField
+      ? buildOrderedQuery(this._assembledQuery, this._serverSortField, this.sortedDirection)
+      : this._assembledQuery;
+    return exportRows({
+      queryString: queryString,
+      searchTerm: this.isServerSearch ? this.searchTerm : '',
+      searchFields: this._serverSearchFields,
+      queryState: { filters: this._activeFilters, joins: this._joins, exportLimit: this._exportLimit }
+    });
+  }
+
+  /**
+   * Runs the saved config on the server with the current sort, search
+   * term and filters; state adds the page offset or the export flag.
+   */
+  _queryTable(state) {
+    return queryTable({
+      configRef: this._configRef,
+      context: this._runtimeContext,
+      uiState: { ...this._uiState(state), refresh: this._isRefreshing || this._isAutoRefreshing }
+    });
+  }
+
+  _uiState(state) {
+    return {
+      sortField: this._serverSortField,
+      sortDirection: this.sortedDirection,
+      searchTerm: this.isServerSearch ? this.searchTerm : '',
+      filters: this._activeFilters,
+      draft: this.isDraftPreview,
+      ...state
+    };
+  }
+
+  /**
+   * Starts the config's polling and event channel subscription, if it has
+   * either. Refreshes wait while the browser tab is hidden and run once when
+   * it is shown.
+   */
+  _startAutoRefresh() {
+    if (this._pollSeconds <= 0 && !this._eventChannel) {
+      return;
+    }
+    document.addEventListener('visibilitychange', this._handleVisibilityChange);
+    this._schedulePoll();
+    if (this._eventChannel) {
+      watchChannelErrors(this);
+      this._subscribeToChannel();
+    }
+  }
+
+  _stopAutoRefresh() {
+    document.removeEventListener('visibilitychange', this._handleVisibilityChange);
+    channelTables.delete(this);
+    clearTimeout(this._pollTimeout);
+    clearTimeout(this._eventTimeout);
+    clearTimeout(this._resubscribeTimeout);
+    this._unsubscribeFromChannel();
+  }
+
+  _handleVisibilityChange = () => {
+    if (document.hidden) {
+      clearTimeout(this._pollTimeout);
+      return;
+    }
+    const isPollDue =
+      this._pollSeconds > 0 &&
+      Date.now() - (this.lastUpdated || 0) >= getPollDelay(this._pollSeconds, this._autoRefreshFailures);
+    if (this._isAutoRefreshPending || isPollDue) {
+      this._autoRefresh();
+    } else {
+      this._schedulePoll();
+    }
+  };
+
+  _schedulePoll() {
+    clearTimeout(this._pollTimeout);
+    if (this._pollSeconds <= 0 || document.hidden) {
+      return;
+    }
+    const delay = getPollDelay(this._pollSeconds, this._autoRefreshFailures);
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    this._pollTimeout = setTimeout(() => this._autoRefresh(), delay);
+  }
+
+  /**
+   * Re-runs the query for a poll, a channel event or a save to the record,
+   * skipping both caches. Waits while the tab is hidden, skips the turn
+   * while the table is busy, and polls less often while queries fail.
+   */
+  async _autoRefresh() {
+    clearTimeout(this._pollTimeout);
+    if (document.hidden) {
+      this._isAutoRefreshPending = true;
+      // A record save without polling or a channel has no listener yet
+      document.addEventListener('visibilitychange', this._handleVisibilityChange);
+      return;
+    }
+    this._isAutoRefreshPending = false;
+    if (this._hasQuerySource && !this.isLoading && !this.isExporting && !this.activeFlow) {
+      this._isAutoRefreshing = true;
+      try {
+        await this._executeAndRender(this._assembledQuery);
+        this._autoRefreshFailures = 0;
+      } catch {
+        this._autoRefreshFailures++;
+      } finally {
+        this._isAutoRefreshing = false;
+      }
+    }
+    this._schedulePoll();
+  }
+
+  async _subscribeToChannel() {
+    try {
+      if (!(await isEmpEnabled())) {
+        return;
+      }
+      this._subscription = await subscribe(this._eventChannel, -1, () => this._handleChannelEvent());
+    } catch {
+      this._scheduleResubscribe();
+    }
+  }
+
+  _unsubscribeFromChannel() {
+    if (this._subscription) {
+      unsubscribe(this._subscription, () => {});
+      this._subscription = null;
+    }
+  }
+
+  _handleChannelEvent() {
+    this._subscribeFailures = 0;
+    clearTimeout(this._eventTimeout);
+    const delay = getBackoffDelay(EVENT_DELAY_MS, this._autoRefreshFailures);
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    this._eventTimeout = setTimeout(() => this._autoRefresh(), delay);
+  }
+
+  // The error may belong to another component's subscription; renew ours if it is live
+  _handleChannelError() {
+    if (!this._subscription) {
+      return;
+    }
+    this._unsubscribeFromChannel();
+    this._scheduleResubscribe();
+  }
+
+  _scheduleResubscribe() {
+    clearTimeout(this._resubscribeTimeout);
+    const delay = getBackoffDelay(RESUBSCRIBE_DELAY_MS, this._subscribeFailures);
+    this._subscribeFailures++;
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    this._resubscribeTimeout = setTimeout(() => this._subscribeToChannel(), delay);
+  }
+
+  _setSelectedRows(selectedRows) {
+    this._selectedRows = selectedRows;
+    if (this.availableActions === undefined) {
+      return;
+    }
+    // Tell the flow its output variables changed
+    ['selectedRows', 'selectedCount', 'firstSelectedRow', 'firstSelectedRowId'].forEach((name) => {
+      this.dispatchEvent(new FlowAttributeChangeEvent(name, this[name]));
+    });
+  }
+
+  /**
+   * A displayed row as a record of the queried object: Id and the object's
+   * own fields, without parent (Owner.Name), joined (Contact.Email),
+   * calculated or row key columns.
+   */
+  _toRecord(row) {
+    const isOwnField = (key) => !key.startsWith('_') && !key.includes('.') && !this._isCalculatedField(key);
+    return Object.fromEntries(Object.entries(row).filter(([key]) => isOwnField(key)));
+  }
+
+  _applyPageMetadata(result) {
+    this._hasMore = result.hasMore === true;
+    this.totalCount = result.totalCount;
+  }
+
+  _keyRows(rows, startIndex) {
+    if (this.keyField !== '_rowKey') {
+      return rows;
+    }
+    if (!this._enableSelection) {
+      return rows.map((row, idx) => ({ ...row, _rowKey: `row-${startIndex + idx}` }));
+    }
+    // Selection outlives sorting and paging, so keys come from row values, not positions
+    const seen = new Map();
+    return rows.map((row) => {
+      const values = JSON.stringify(row);
+      const count = (seen.get(values) || 0) + 1;
+      seen.set(values, count);
+      return { ...row, _rowKey: `${values}#${count}` };
+    });
+  }
+
+  _filterRows(rows, term) {
+    // Server search already applied the term in the query
+    if (!term || this.isServerSearch) {
+      return rows;
+    }
+    // Match only on displayed columns so keys like _rowKey or Id never hit
+    const fieldNames =
+      this._searchFields.length > 0 ? this._searchFields : this.tableColumns.map((col) => col.fieldName);
+    return rows.filter((row) => {
+      return fieldNames.some((fieldName) => {
+        const val = row[fieldName];
+        return val != null && String(val).toLowerCase().includes(term);
+      });
+    });
+  }
+
   _parseColumnLabels() {
     if (this._columnLabels) {
       this._columnLabelsMap = new Map(
@@ -432,15 +1739,19 @@ export default class Data360Table extends LightningElement {
     if (this._defaultSortField) {
       this.sortedBy = this._defaultSortField;
       this.sortedDirection = this._defaultSortDirection || 'asc';
-      this.tableData = this._sortData(this.sortedBy, this.sortedDirection);
+      // Partial results are re-queried with the new ORDER BY by the caller
+      if (this._isFullyLoaded) {
+        this._allTableData = this._sortData(this._allTableData, this.sortedBy, this.sortedDirection);
+        this.tableData = this._filterRows(this._allTableData, this.searchTerm);
+      }
     } else {
       this.sortedBy = undefined;
       this.sortedDirection = 'asc';
     }
   }
 
-  _sortData(fieldName, sortDirection) {
-    const data = [...this.tableData];
+  _sortData(rows, fieldName, sortDirection) {
+    const data = [...rows];
     const reverse = sortDirection === 'asc' ? 1 : -1;
     data.sort((a, b) => {
       const aVal = a[fieldName] || '';
@@ -452,6 +1763,10 @@ export default class Data360Table extends LightningElement {
     return data;
   }
 
+  _showWarning(title, message) {
+    this.dispatchEvent(new ShowToastEvent({ title, message, variant: 'warning' }));
+  }
+
   _handleError(title, error) {
     this.isLoading = false;
     const message =